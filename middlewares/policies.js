@@ -0,0 +1,183 @@
+// Role and ownership checks used by the routes, on top of verifyFBToken.
+// Each policy expects req.user to be set and answers 403 when access is denied.
+
+const { ObjectId } = require("mongodb");
+
+const createPolicies = ({
+  usersCollection,
+  ridersCollection,
+  parcelCollection,
+  parcelBatchesCollection,
+  serviceCentersCollection,
+  merchantsCollection,
+}) => {
+  const forbidden = (res) =>
+    res.status(403).send({ success: false, message: "Forbidden" });
+
+  // caller's role ("user" when unset), looked up once per request
+  const loadRole = async (req) => {
+    if (!req.role) {
+      const user = await usersCollection.findOne(
+        { email: req.user.email },
+        { projection: { role: 1 } }
+      );
+      req.role = user?.role || "user";
+    }
+    return req.role;
+  };
+
+  // caller as recorded in status history and tracking events
+  const getActor = async (req) => ({
+    email: req.user.email,
+    role: await loadRole(req),
+  });
+
+  const requireRole =
+    (...roles) =>
+    async (req, res, next) => {
+      if (!roles.includes(await loadRole(req))) return forbidden(res);
+      next();
+    };
+
+  const verifyAdmin = requireRole("admin");
+  const verifyRiderOrAdmin = requireRole("rider", "admin");
+
+  // approved riders only; the rider record is exposed as req.rider
+  const verifyRider = async (req, res, next) => {
+    if ((await loadRole(req)) !== "rider") return forbidden(res);
+
+    const rider = await ridersCollection.findOne({
+      email: req.user.email,
+      status: "approved",
+    });
+    if (!rider) return forbidden(res);
+
+    req.rider = rider;
+    next();
+  };
+
+  // the email named by the request must be the caller's own, unless admin
+  const verifySelfOrAdmin = (getEmail) => async (req, res, next) => {
+    const email = getEmail(req);
+    if (email && email === req.user.email) return next();
+    if ((await loadRole(req)) === "admin") return next();
+    return forbidden(res);
+  };
+
+  // parcel owner (created_by) or admin, optionally the assigned rider too;
+  // the parcel is exposed as req.parcel
+  const verifyParcelAccess =
+    ({ getId = (req) => req.params.id, allowAssignedRider = false } = {}) =>
+    async (req, res, next) => {
+      const id = getId(req);
+      if (!id || !ObjectId.isValid(id)) {
+        return res
+          .status(400)
+          .send({ success: false, message: "Invalid parcel id" });
+      }
+
+      const parcel = await parcelCollection.findOne({ _id: new ObjectId(id) });
+      if (!parcel) {
+        return res
+          .status(404)
+          .send({ success: false, message: "Parcel not found" });
+      }
+
+      const email = req.user.email;
+      const allowed =
+        parcel.created_by === email ||
+        (allowAssignedRider && parcel.assigned_rider_email === email) ||
+        (await loadRole(req)) === "admin";
+      if (!allowed) return forbidden(res);
+
+      req.parcel = parcel;
+      next();
+    };
+
+  // bulk booking batch owner or admin; the batch is exposed as req.batch
+  const verifyBatchAccess = async (req, res, next) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res
+        .status(400)
+        .send({ success: false, message: "Invalid batch id" });
+    }
+
+    const batch = await parcelBatchesCollection.findOne({
+      _id: new ObjectId(id),
+    });
+    if (!batch) {
+      return res
+        .status(404)
+        .send({ success: false, message: "Batch not found" });
+    }
+
+    const allowed =
+      batch.created_by === req.user.email || (await loadRole(req)) === "admin";
+    if (!allowed) return forbidden(res);
+
+    req.batch = batch;
+    next();
+  };
+
+  // admins, or hub staff working at the service center in req.params.id;
+  // the center is exposed as req.hub
+  const verifyHubAccess = async (req, res, next) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res
+        .status(400)
+        .send({ success: false, message: "Invalid service center id" });
+    }
+
+    const role = await loadRole(req);
+    if (role !== "admin" && role !== "hub_staff") return forbidden(res);
+
+    const hub = await serviceCentersCollection.findOne({
+      _id: new ObjectId(id),
+    });
+    if (!hub) {
+      return res
+        .status(404)
+        .send({ success: false, message: "Service center not found" });
+    }
+    if (role !== "admin" && !hub.staff_emails?.includes(req.user.email)) {
+      return forbidden(res);
+    }
+
+    req.hub = hub;
+    next();
+  };
+
+  // the caller's active merchant account, exposed as req.merchant
+  const verifyMerchant = async (req, res, next) => {
+    const merchant = await merchantsCollection.findOne({
+      owner_email: req.user.email,
+    });
+    if (!merchant) {
+      return res
+        .status(404)
+        .send({ success: false, message: "No merchant account" });
+    }
+    if (merchant.status !== "active") return forbidden(res);
+
+    req.merchant = merchant;
+    next();
+  };
+
+  return {
+    getActor,
+    loadRole,
+    requireRole,
+    verifyAdmin,
+    verifyBatchAccess,
+    verifyHubAccess,
+    verifyMerchant,
+    verifyParcelAccess,
+    verifyRider,
+    verifyRiderOrAdmin,
+    verifySelfOrAdmin,
+  };
+};
+
+module.exports = { createPolicies };
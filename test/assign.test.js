@@ -0,0 +1,42 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { NO_MONGOD, startApi } = require("./helpers/api");
+
+let api;
+before(async () => {
+  api = await startApi();
+  if (!api) return;
+  await api.createUser("sender@test.io");
+  await api.createUser("admin@test.io", "admin");
+});
+after(async () => {
+  await api?.stop();
+});
+
+test("only approved riders can be assigned a parcel", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await api.createParcel("sender@test.io", {
+    payment_status: "paid",
+  });
+  const riders = api.db.collection("riders");
+
+  for (const status of ["pending", "rejected", "deactivated"]) {
+    const { insertedId } = await riders.insertOne({
+      email: `${status}@test.io`,
+      name: status,
+      status,
+    });
+    const response = await api.request(
+      "PATCH",
+      `/parcels/${parcel._id}/assign`,
+      { as: "admin@test.io", body: { riderId: String(insertedId) } }
+    );
+    assert.equal(response.status, 409, status);
+  }
+
+  const stored = await api.db
+    .collection("parcels")
+    .findOne({ _id: parcel._id });
+  assert.equal(stored.assigned_rider_email ?? null, null);
+});
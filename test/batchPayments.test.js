@@ -0,0 +1,158 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+
+const { NO_MONGOD, startApi } = require("./helpers/api");
+
+let api;
+before(async () => {
+  api = await startApi();
+  if (!api) return;
+  await api.createUser("sender@test.io");
+});
+after(async () => {
+  await api?.stop();
+});
+
+// a bulk booking of `count` unpaid parcels
+const createBatch = async (count = 2) => {
+  const batchId = new ObjectId();
+  const parcels = [];
+  for (let i = 0; i < count; i++) {
+    parcels.push(
+      await api.createParcel("sender@test.io", { batch_id: batchId })
+    );
+  }
+  await api.db.collection("parcel_batches").insertOne({
+    _id: batchId,
+    created_by: "sender@test.io",
+    parcel_ids: parcels.map(({ _id }) => _id),
+    parcel_count: count,
+    payment_intents: [],
+    created_at: new Date().toISOString(),
+  });
+  return { batchId, parcels };
+};
+
+const startPayment = (batchId) =>
+  api.request("POST", `/parcel-batches/${batchId}/payment-intent`, {
+    as: "sender@test.io",
+  });
+
+const confirmPayment = (batchId, transactionId) =>
+  api.request("POST", `/parcel-batches/${batchId}/payments`, {
+    as: "sender@test.io",
+    body: { transactionId },
+  });
+
+const latestIntent = () => [...api.stripe.intents.values()].at(-1);
+
+test("asking again reuses the open batch intent", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const { batchId } = await createBatch();
+
+  const first = await startPayment(batchId);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  const intents = api.stripe.intents.size;
+  const second = await startPayment(batchId);
+  assert.equal(second.status, 200);
+  assert.equal(second.body.data.clientSecret, first.body.data.clientSecret);
+  assert.equal(api.stripe.intents.size, intents);
+});
+
+test("an open intent is cancelled once its parcels change", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const { batchId, parcels } = await createBatch(3);
+
+  await startPayment(batchId);
+  const stale = latestIntent();
+  await api.db
+    .collection("parcels")
+    .updateOne(
+      { _id: parcels[0]._id },
+      { $set: { is_deleted: true }, $unset: { batch_payment_intent: "" } }
+    );
+
+  const response = await startPayment(batchId);
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.parcels, 2);
+  assert.equal(stale.status, "canceled");
+  const batch = await api.db
+    .collection("parcel_batches")
+    .findOne({ _id: batchId });
+  assert.deepEqual(
+    batch.payment_intents.map(({ status }) => status),
+    ["cancelled", "open"]
+  );
+});
+
+test("a parcel claimed by a batch intent can't be paid on its own", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const { batchId, parcels } = await createBatch();
+  await startPayment(batchId);
+
+  const response = await api.request("POST", "/create-payment-intent", {
+    as: "sender@test.io",
+    body: { parcelId: String(parcels[0]._id) },
+  });
+  assert.equal(response.status, 409);
+});
+
+test("settling skips cancelled parcels and refunds their share", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const { batchId, parcels } = await createBatch();
+  await startPayment(batchId);
+  const intent = latestIntent();
+  await api.db
+    .collection("parcels")
+    .updateOne(
+      { _id: parcels[1]._id },
+      { $set: { delivery_status: "cancelled" } }
+    );
+
+  api.stripe.succeed(intent.id);
+  const response = await confirmPayment(batchId, intent.id);
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.equal(response.body.data.parcels, 1);
+  assert.equal(response.body.data.refunded, 1);
+
+  const [refund] = api.stripe.refundsIssued.slice(-1);
+  assert.equal(refund.payment_intent, intent.id);
+  assert.equal(refund.amount, 6000);
+  const cancelled = await api.db
+    .collection("parcels")
+    .findOne({ _id: parcels[1]._id });
+  assert.equal(cancelled.payment_status, "unpaid");
+  assert.equal(cancelled.batch_payment_intent, undefined);
+
+  // a second confirmation neither pays nor refunds again
+  const refunds = api.stripe.refundsIssued.length;
+  const again = await confirmPayment(batchId, intent.id);
+  assert.equal(again.body.data.refunded, 0);
+  assert.equal(api.stripe.refundsIssued.length, refunds);
+});
+
+test("a parcel claimed by a batch intent can't be deleted", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const { batchId, parcels } = await createBatch();
+  await startPayment(batchId);
+
+  const response = await api.request("DELETE", `/parcels/${parcels[0]._id}`, {
+    as: "sender@test.io",
+  });
+  assert.equal(response.status, 409);
+  assert.equal(
+    await api.db.collection("parcels").countDocuments({ _id: parcels[0]._id }),
+    1
+  );
+});
+
+test("only merchant accounts can book in bulk", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const response = await api.request("POST", "/parcels/bulk", {
+    as: "sender@test.io",
+    body: { parcels: [] },
+  });
+  assert.equal(response.status, 404);
+  assert.equal(response.body.message, "No merchant account");
+});
@@ -0,0 +1,38 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { remittanceLine, remittanceTotals } = require("../utils/cod");
+
+const collected = {
+  trackingId: "ZS-TEST-0001",
+  cost: 60,
+  cod: { amount: 1000, collected_amount: 1000, status: "deposited" },
+};
+const returned = {
+  trackingId: "ZS-TEST-0002",
+  cost: 110,
+  delivery_status: "returned",
+  cod: { amount: 500, status: "pending" },
+};
+
+test("a returned parcel's delivery charge is deducted from the remittance", () => {
+  assert.deepEqual(remittanceLine(returned), {
+    parcel_id: undefined,
+    trackingId: "ZS-TEST-0002",
+    collected: 0,
+    delivery_charge: 110,
+    cod_fee: 0,
+    payable: -110,
+  });
+
+  const lines = [collected, returned].map((parcel) => remittanceLine(parcel));
+  assert.deepEqual(remittanceTotals(lines), {
+    collected: 1000,
+    charges: 180,
+    amount: 820,
+  });
+});
+
+test("charges beyond the collected cash leave a negative amount", () => {
+  assert.equal(remittanceTotals([remittanceLine(returned)]).amount, -110);
+});
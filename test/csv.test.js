@@ -0,0 +1,27 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { toCsv } = require("../utils/csv");
+
+const cell = (value) => toCsv([{ value }], ["value"]).split("\r\n")[1];
+
+test("cells starting with a formula character are quoted", () => {
+  for (const value of [
+    "=1+1",
+    "+1",
+    "-1+cmd|' /C calc'!A0",
+    "@SUM(A1)",
+    "\tx",
+  ]) {
+    assert.ok(cell(value).startsWith("'"), value);
+  }
+  assert.equal(cell("\rx"), `"'\rx"`);
+  assert.equal(cell(-5), "'-5");
+});
+
+test("other cells are written as they are", () => {
+  assert.equal(cell("Road 1"), "Road 1");
+  assert.equal(cell(60), "60");
+  assert.equal(cell('say "hi", then'), '"say ""hi"", then"');
+  assert.equal(cell(null), "");
+});
@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+
+process.env.OTP_SECRET = "test-otp-secret";
+const {
+  MAX_ATTEMPTS,
+  assertOtpSecret,
+  attemptFilter,
+  checkOtp,
+  createOtp,
+  lockFields,
+  openOtp,
+} = require("../utils/deliveryOtp");
+const { createFakeCollection } = require("./helpers/fakeCollection");
+
+test("refuses to run without OTP_SECRET", () => {
+  const secret = process.env.OTP_SECRET;
+  delete process.env.OTP_SECRET;
+  try {
+    assert.throws(assertOtpSecret, /OTP_SECRET/);
+    assert.throws(() => createOtp(new ObjectId()), /OTP_SECRET/);
+  } finally {
+    process.env.OTP_SECRET = secret;
+  }
+});
+
+test("the sealed code opens to the issued code", () => {
+  const { code, state } = createOtp(new ObjectId());
+  assert.equal(openOtp(state), code);
+});
+
+// what the delivery route does with one guess: count it, then compare
+const guess = async (parcels, parcel, code) => {
+  const counted = await parcels.findOneAndUpdate(
+    { _id: parcel._id, ...attemptFilter(parcel.delivery_otp) },
+    { $inc: { "delivery_otp.attempts": 1 } },
+    { returnDocument: "after" }
+  );
+  if (!counted) return { ok: false, locked: true };
+  const check = checkOtp(parcel._id, counted.delivery_otp, code);
+  if (check.locked) {
+    await parcels.updateOne(
+      { _id: parcel._id, "delivery_otp.attempts": { $gte: MAX_ATTEMPTS } },
+      { $set: lockFields() }
+    );
+  }
+  return check;
+};
+
+test("concurrent wrong guesses cannot exceed the attempt limit", async () => {
+  const _id = new ObjectId();
+  const { code, state } = createOtp(_id);
+  const parcel = { _id, delivery_otp: state };
+  const parcels = createFakeCollection([parcel]);
+
+  // every guess read the parcel before any of them was counted
+  const wrong = String((Number(code) + 1) % 1e6).padStart(6, "0");
+  const results = await Promise.all(
+    Array.from({ length: 20 }, () => guess(parcels, parcel, wrong))
+  );
+  assert.equal(
+    results.filter(({ locked }) => !locked).length,
+    MAX_ATTEMPTS - 1
+  );
+
+  // locked now, even for the right code
+  assert.equal((await guess(parcels, parcel, code)).ok, false);
+  const stored = await parcels.findOne({ _id });
+  assert.ok(new Date(stored.delivery_otp.locked_until) > new Date());
+});
+
+test("the right code passes within the limit", async () => {
+  const _id = new ObjectId();
+  const { code, state } = createOtp(_id);
+  const parcel = { _id, delivery_otp: state };
+  const parcels = createFakeCollection([parcel]);
+
+  assert.equal((await guess(parcels, parcel, "000000x")).ok, false);
+  assert.equal((await guess(parcels, parcel, code)).ok, true);
+});
@@ -0,0 +1,29 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { labelProblem, renderLabels } = require("../utils/documents");
+
+const parcel = {
+  trackingId: "ZS-TEST-7KQ4MX",
+  parcelName: "Test parcel",
+  receiverName: "Receiver",
+  createdAt: "2026-01-05T10:00:00.000Z",
+};
+
+test("parcels without a tracking ID or a valid date can't be labelled", () => {
+  assert.equal(labelProblem(parcel), null);
+  assert.equal(labelProblem({ ...parcel, createdAt: undefined }), null);
+  assert.equal(
+    labelProblem({ ...parcel, trackingId: undefined }),
+    "has no tracking ID yet"
+  );
+  assert.equal(
+    labelProblem({ ...parcel, createdAt: "yesterday" }),
+    "has an invalid booking date"
+  );
+});
+
+test("a label renders as a PDF", async () => {
+  const pdf = await renderLabels([parcel], () => "https://example.test/t");
+  assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+});
@@ -0,0 +1,251 @@
+// Boots the API against an in-memory MongoDB replica set (transactions need
+// one) with Firebase and Stripe swapped for fakes. startApi() resolves to
+// null when no mongod binary is available, so suites can skip themselves:
+//
+//   const api = await startApi();
+//   test("...", { skip: !api && NO_MONGOD }, async () => { ... });
+//
+// Callers authenticate as any email: the fake verifier accepts the email
+// itself as the ID token, and roles come from the users collection.
+
+const crypto = require("crypto");
+const { once } = require("events");
+
+const STRIPE_WEBHOOK_SECRET = "whsec_test_secret";
+const NO_MONGOD = "no mongod binary available for mongodb-memory-server";
+
+const fakeServiceAccount = () => {
+  const { privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" },
+  });
+  return Buffer.from(
+    JSON.stringify({
+      project_id: "zap-shift-test",
+      client_email: "test@zap-shift-test.iam.gserviceaccount.com",
+      private_key: privateKey,
+    })
+  ).toString("base64");
+};
+
+// the Stripe calls the routes make, answered from memory; webhook signing
+// and verification are the real library's
+const createFakeStripe = () => {
+  const stripe = require("stripe")("sk_test_fake");
+  const intents = new Map();
+  const refunds = [];
+  let next = 1;
+
+  stripe.paymentIntents = {
+    create: async (params) => {
+      const intent = {
+        id: `pi_test_${next++}`,
+        object: "payment_intent",
+        status: "requires_payment_method",
+        client_secret: `pi_secret_${next}`,
+        created: Math.floor(Date.now() / 1000),
+        currency: params.currency,
+        amount: params.amount,
+        amount_received: 0,
+        payment_method_types: params.payment_method_types || ["card"],
+        metadata: params.metadata || {},
+      };
+      intents.set(intent.id, intent);
+      return intent;
+    },
+    retrieve: async (id) => {
+      const intent = intents.get(id);
+      if (!intent) throw new Error(`No such payment_intent: ${id}`);
+      return intent;
+    },
+    cancel: async (id) => {
+      const intent = intents.get(id);
+      if (!intent) throw new Error(`No such payment_intent: ${id}`);
+      intent.status = "canceled";
+      return intent;
+    },
+  };
+  stripe.refunds = {
+    create: async (params) => {
+      const refund = {
+        id: `re_test_${next++}`,
+        status: "succeeded",
+        ...params,
+      };
+      refunds.push(refund);
+      return refund;
+    },
+  };
+
+  // what a customer paying an open intent looks like to the server
+  stripe.succeed = (id) => {
+    const intent = intents.get(id);
+    intent.status = "succeeded";
+    intent.amount_received = intent.amount;
+    return intent;
+  };
+  stripe.intents = intents;
+  stripe.refundsIssued = refunds;
+  return stripe;
+};
+
+// signed webhook request for a Stripe event, as Stripe would send it
+const signedEvent = (stripe, event) => {
+  const payload = JSON.stringify(event);
+  return {
+    payload,
+    signature: stripe.webhooks.generateTestHeaderString({
+      payload,
+      secret: STRIPE_WEBHOOK_SECRET,
+    }),
+  };
+};
+
+// null when there is no mongod binary for this machine and none can be
+// downloaded; any other failure to start is an error
+const startReplSet = async () => {
+  const { MongoMemoryReplSet, errors } = require("mongodb-memory-server");
+  try {
+    return await MongoMemoryReplSet.create({
+      replSet: { count: 1, storageEngine: "wiredTiger" },
+    });
+  } catch (error) {
+    const unavailable = [
+      errors.BinaryNotFoundError,
+      errors.DownloadError,
+      errors.UnknownArchitectureError,
+      errors.UnknownPlatformError,
+      errors.UnknownVersionError,
+    ];
+    if (unavailable.some((type) => error instanceof type)) return null;
+    throw error;
+  }
+};
+
+const startApi = async () => {
+  const replSet = await startReplSet();
+  if (!replSet) return null;
+
+  Object.assign(process.env, {
+    MONGODB_URI: replSet.getUri(),
+    FB_SERVICE_KEY: fakeServiceAccount(),
+    OTP_SECRET: "test-otp-secret",
+    STRIPE_SECRET_KEY: "sk_test_fake",
+    STRIPE_WEBHOOK_SECRET,
+    NOTIFY_WORKER: "off",
+    WEBHOOK_WORKER: "off",
+  });
+
+  const app = require("../../index");
+  await app.locals.ready;
+
+  const stripe = createFakeStripe();
+  app.locals.stripe = stripe;
+  app.locals.auth = {
+    verifyIdToken: async (token) => {
+      if (!token.includes("@")) throw new Error("Invalid token");
+      return { email: token };
+    },
+  };
+
+  const server = app.listen(0);
+  await once(server, "listening");
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const db = app.locals.mongoClient.db("parcelDB");
+
+  // { status, headers, body } with JSON bodies parsed; `stream: true`
+  // leaves the body unread, for event streams
+  const request = async (method, path, options = {}) => {
+    const { as, body, headers = {}, signal, stream = false } = options;
+    const raw = typeof body === "string";
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined && {
+          "Content-Type": raw ? "text/plain" : "application/json",
+        }),
+        ...(as && { Authorization: `Bearer ${as}` }),
+        ...headers,
+      },
+      body: body === undefined || raw ? body : JSON.stringify(body),
+      signal,
+    });
+    if (stream) {
+      return { status: response.status, headers: response.headers, body: null };
+    }
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // not JSON, keep the text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  // a user with a role, and an approved rider record for riders
+  const createUser = async (email, role = "user") => {
+    await db.collection("users").insertOne({ email, role });
+    if (role === "rider") {
+      await db.collection("riders").insertOne({
+        email,
+        name: email.split("@")[0],
+        phone: "01711111111",
+        district: "Dhaka",
+        region: "Dhaka",
+        status: "approved",
+      });
+    }
+    return email;
+  };
+
+  // a booked parcel straight in the database; `fields` override the defaults
+  let parcels = 0;
+  const createParcel = async (owner, fields = {}) => {
+    const parcel = {
+      trackingId: `ZS-TEST-${String(++parcels).padStart(4, "0")}`,
+      parcelName: "Test parcel",
+      type: "document",
+      senderName: "Sender",
+      senderPhone: "01711111111",
+      senderRegion: "Dhaka",
+      senderDistrict: "Dhaka",
+      senderAddress: "Road 1",
+      receiverName: "Receiver",
+      receiverPhone: "01722222222",
+      receiverRegion: "Dhaka",
+      receiverDistrict: "Dhaka",
+      receiverAddress: "Road 2",
+      cost: 60,
+      created_by: owner,
+      createdAt: new Date().toISOString(),
+      payment_method: "card",
+      payment_status: "unpaid",
+      delivery_status: "not_collected",
+      status_history: [],
+      ...fields,
+    };
+    const { insertedId } = await db.collection("parcels").insertOne(parcel);
+    return { ...parcel, _id: insertedId };
+  };
+
+  const stop = async () => {
+    app.locals.outboxWorker?.stop();
+    app.locals.webhookWorker?.stop();
+    server.closeAllConnections();
+    server.close();
+    await app.locals.mongoClient.close();
+    await replSet.stop();
+  };
+
+  return { app, db, stripe, request, createUser, createParcel, stop };
+};
+
+module.exports = {
+  NO_MONGOD,
+  STRIPE_WEBHOOK_SECRET,
+  createFakeStripe,
+  signedEvent,
+  startApi,
+};
@@ -0,0 +1,185 @@
+// Just enough of a MongoDB collection, kept in memory, for unit tests of
+// modules that take collections as arguments. Filters support equality on
+// (dotted) fields plus $in, $ne, $lt(e), $gt(e), $exists, $and and $or; updates
+// support $set, $unset, $inc and $push. Anything else throws, so a test
+// never passes against behaviour the fake doesn't have.
+
+const { ObjectId } = require("mongodb");
+
+const get = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+const set = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => (object[key] ??= {}), doc);
+  parent[last] = value;
+};
+
+const unset = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => object?.[key], doc);
+  if (parent) delete parent[last];
+};
+
+// structuredClone would turn ObjectIds into plain objects
+const clone = (value) =>
+  Array.isArray(value)
+    ? value.map(clone)
+    : value instanceof Date
+    ? new Date(value)
+    : value && typeof value === "object" && !(value instanceof ObjectId)
+    ? Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, clone(item)])
+      )
+    : value;
+
+const same = (a, b) =>
+  a instanceof ObjectId || b instanceof ObjectId
+    ? String(a) === String(b)
+    : a instanceof Date && b instanceof Date
+    ? a.getTime() === b.getTime()
+    : a === b;
+
+// MongoDB's order for the types the tests use: null and missing first,
+// then numbers, strings, ObjectIds and dates
+const TYPE_ORDER = ["null", "number", "string", "objectId", "date"];
+const typeOf = (value) =>
+  value == null
+    ? "null"
+    : value instanceof ObjectId
+    ? "objectId"
+    : value instanceof Date
+    ? "date"
+    : typeof value;
+
+// two values of the same type
+const compare = (a, b) => {
+  if (a instanceof ObjectId) [a, b] = [a.toHexString(), b.toHexString()];
+  if (a instanceof Date) [a, b] = [a.getTime(), b.getTime()];
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const sortCompare = (a, b) =>
+  TYPE_ORDER.indexOf(typeOf(a)) - TYPE_ORDER.indexOf(typeOf(b)) ||
+  (a == null ? 0 : compare(a, b));
+
+// like MongoDB, range operators only match values of the operand's type,
+// so they never match null or a missing field
+const comparable = (value, operand) =>
+  value != null && operand != null && typeOf(value) === typeOf(operand);
+
+const OPERATORS = {
+  $in: (value, list) => list.some((item) => same(value, item)),
+  $ne: (value, other) => !same(value ?? null, other),
+  $lt: (value, other) => comparable(value, other) && compare(value, other) < 0,
+  $lte: (value, other) =>
+    comparable(value, other) && compare(value, other) <= 0,
+  $gt: (value, other) => comparable(value, other) && compare(value, other) > 0,
+  $gte: (value, other) =>
+    comparable(value, other) && compare(value, other) >= 0,
+  $exists: (value, exists) => (value !== undefined) === exists,
+};
+
+const isOperatorObject = (condition) =>
+  condition &&
+  typeof condition === "object" &&
+  !(condition instanceof ObjectId) &&
+  !(condition instanceof Date) &&
+  Object.keys(condition).every((key) => key.startsWith("$"));
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === "$or") return condition.some((part) => matches(doc, part));
+    if (field === "$and") return condition.every((part) => matches(doc, part));
+    const value = get(doc, field);
+    if (!isOperatorObject(condition)) {
+      return Array.isArray(value) && !Array.isArray(condition)
+        ? value.some((item) => same(item, condition))
+        : same(value ?? null, condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (!OPERATORS[operator]) {
+        throw new Error(`fake collection: unsupported ${operator}`);
+      }
+      return OPERATORS[operator](value, operand);
+    });
+  });
+
+const applyUpdate = (doc, update) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      if (operator === "$set") set(doc, path, value);
+      else if (operator === "$unset") unset(doc, path);
+      else if (operator === "$inc")
+        set(doc, path, (get(doc, path) || 0) + value);
+      else if (operator === "$push")
+        set(doc, path, [...(get(doc, path) || []), value]);
+      else throw new Error(`fake collection: unsupported ${operator}`);
+    }
+  }
+};
+
+const duplicateKey = () =>
+  Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+const createFakeCollection = (docs = []) => {
+  const store = docs.map((doc) => ({ _id: new ObjectId(), ...clone(doc) }));
+  const copy = (doc) => (doc ? clone(doc) : null);
+
+  return {
+    docs: store,
+    findOne: async (filter) => copy(store.find((doc) => matches(doc, filter))),
+    find: (filter) => {
+      let sort = {};
+      let limit = Infinity;
+      const cursor = {
+        sort: (spec) => ((sort = spec), cursor),
+        limit: (count) => ((limit = count), cursor),
+        toArray: async () =>
+          store
+            .filter((doc) => matches(doc, filter))
+            .sort((a, b) => {
+              for (const [field, order] of Object.entries(sort)) {
+                const diff = sortCompare(get(a, field), get(b, field));
+                if (diff) return diff * order;
+              }
+              return 0;
+            })
+            .slice(0, limit)
+            .map(clone),
+      };
+      return cursor;
+    },
+    countDocuments: async (filter) =>
+      store.filter((doc) => matches(doc, filter)).length,
+    insertOne: async (doc) => {
+      const inserted = { _id: new ObjectId(), ...clone(doc) };
+      if (store.some(({ _id }) => same(_id, inserted._id))) {
+        throw duplicateKey();
+      }
+      store.push(inserted);
+      return { acknowledged: true, insertedId: inserted._id };
+    },
+    updateOne: async (filter, update) => {
+      const doc = store.find((candidate) => matches(candidate, filter));
+      if (doc) applyUpdate(doc, update);
+      return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+    findOneAndUpdate: async (filter, update, { returnDocument } = {}) => {
+      const doc = store.find((candidate) => matches(candidate, filter));
+      if (!doc) return null;
+      const before = copy(doc);
+      applyUpdate(doc, update);
+      return returnDocument === "after" ? copy(doc) : before;
+    },
+    deleteOne: async (filter) => {
+      const index = store.findIndex((doc) => matches(doc, filter));
+      if (index !== -1) store.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+  };
+};
+
+module.exports = { createFakeCollection };
@@ -0,0 +1,143 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const express = require("express");
+
+const { createIdempotency } = require("../utils/idempotency");
+const { createFakeCollection } = require("./helpers/fakeCollection");
+
+// an app whose POST /orders counts its runs; `gate` holds a run until the
+// test opens it, to have a request still in progress
+let server;
+let base;
+let keys;
+let runs;
+let gate;
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { email: req.get("x-user") || "sender@test.io" };
+    next();
+  });
+  app.use((req, res, next) =>
+    createIdempotency({ idempotencyCollection: keys })(req, res, next)
+  );
+  app.post("/orders", async (req, res) => {
+    runs++;
+    await gate;
+    if (req.body.fail) {
+      return res.status(500).send({ success: false, message: "Server error" });
+    }
+    res.status(201).send({ success: true, data: { run: runs } });
+  });
+
+  server = app.listen(0);
+  await once(server, "listening");
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const reset = () => {
+  keys = createFakeCollection();
+  runs = 0;
+  gate = null;
+};
+
+const post = async (body, headers = {}) => {
+  const response = await fetch(`${base}/orders`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  return {
+    status: response.status,
+    replayed: response.headers.get("idempotent-replayed"),
+    body: await response.json(),
+  };
+};
+
+// the response is stored once it has gone out, so wait for the record
+const settled = async () => {
+  for (let i = 0; i < 50; i++) {
+    const record = await keys.findOne({});
+    if (!record || record.status !== "processing") return record;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error("idempotency record never settled");
+};
+
+test("a retry with the same key replays the first response", async () => {
+  reset();
+  const first = await post({ parcel: 1 }, { "Idempotency-Key": "key-1" });
+  assert.equal(first.status, 201);
+  assert.equal((await settled()).status, "completed");
+
+  const retry = await post({ parcel: 1 }, { "Idempotency-Key": "key-1" });
+  assert.equal(retry.status, 201);
+  assert.equal(retry.replayed, "true");
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(runs, 1);
+
+  // keys are per caller
+  const other = await post(
+    { parcel: 1 },
+    { "Idempotency-Key": "key-1", "X-User": "other@test.io" }
+  );
+  assert.equal(other.replayed, null);
+  assert.equal(runs, 2);
+});
+
+test("a key reused for a different request is refused", async () => {
+  reset();
+  await post({ parcel: 1 }, { "Idempotency-Key": "key-2" });
+  await settled();
+
+  const response = await post({ parcel: 2 }, { "Idempotency-Key": "key-2" });
+  assert.equal(response.status, 422);
+  assert.equal(runs, 1);
+});
+
+test("a retry while the first request runs is refused", async () => {
+  reset();
+  let open;
+  gate = new Promise((resolve) => (open = resolve));
+
+  const first = post({ parcel: 1 }, { "Idempotency-Key": "key-3" });
+  while (runs === 0) await new Promise((resolve) => setImmediate(resolve));
+  const retry = await post({ parcel: 1 }, { "Idempotency-Key": "key-3" });
+  assert.equal(retry.status, 409);
+
+  open();
+  assert.equal((await first).status, 201);
+  assert.equal(runs, 1);
+});
+
+test("a request whose server went away is taken over", async () => {
+  reset();
+  let open;
+  gate = new Promise((resolve) => (open = resolve));
+
+  const first = post({ parcel: 1 }, { "Idempotency-Key": "key-4" });
+  while (runs === 0) await new Promise((resolve) => setImmediate(resolve));
+  // as if it had been locked long ago
+  await keys.updateOne({}, { $set: { locked_at: new Date(0) } });
+
+  const takeover = post({ parcel: 1 }, { "Idempotency-Key": "key-4" });
+  while (runs === 1) await new Promise((resolve) => setImmediate(resolve));
+  open();
+  assert.equal((await takeover).status, 201);
+  assert.equal(runs, 2);
+  await first;
+});
+
+test("server errors free the key for a retry", async () => {
+  reset();
+  const failed = await post({ fail: true }, { "Idempotency-Key": "key-5" });
+  assert.equal(failed.status, 500);
+  assert.equal(await settled(), null);
+
+  const retry = await post({ fail: true }, { "Idempotency-Key": "key-5" });
+  assert.equal(retry.replayed, null);
+  assert.equal(runs, 2);
+});
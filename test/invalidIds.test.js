@@ -0,0 +1,68 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { NO_MONGOD, startApi } = require("./helpers/api");
+
+let api;
+before(async () => {
+  api = await startApi();
+  if (!api) return;
+  await api.createUser("rider@test.io", "rider");
+  await api.createUser("admin@test.io", "admin");
+});
+after(async () => {
+  await api?.stop();
+});
+
+// [method, path, caller, body, headers] of routes taking an id that isn't one
+const routes = [
+  ["PATCH", "/parcels/nope/pick", "rider@test.io"],
+  [
+    "PATCH",
+    "/rider/parcels/nope/status",
+    "rider@test.io",
+    { delivery_status: "on_the_way" },
+  ],
+  ["PATCH", "/payouts/nope/status", "admin@test.io", { status: "approved" }],
+  ["PATCH", "/commission-rules/nope", "admin@test.io", { rate: 0.1 }],
+  ["DELETE", "/commission-rules/nope", "admin@test.io"],
+  ["GET", "/parcels/nope/rider-suggestions", "admin@test.io"],
+  [
+    "PATCH",
+    "/parcels/nope/assign",
+    "admin@test.io",
+    { riderId: "64b7f0c2a1b2c3d4e5f60718" },
+  ],
+  [
+    "PATCH",
+    "/parcels/64b7f0c2a1b2c3d4e5f60718/assign",
+    "admin@test.io",
+    { riderId: "nope" },
+  ],
+  ["PATCH", "/riders/nope/status", "admin@test.io", { status: "approved" }],
+  [
+    "PUT",
+    "/rider/parcels/nope/proof-photo",
+    "rider@test.io",
+    "photo",
+    { "Content-Type": "image/png" },
+  ],
+  [
+    "PATCH",
+    "/parcels/nope/proof-review",
+    "admin@test.io",
+    { review_status: "approved" },
+  ],
+];
+
+test("malformed ids are answered with 400", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  for (const [method, path, as, body, headers] of routes) {
+    const response = await api.request(method, path, { as, body, headers });
+    assert.equal(
+      response.status,
+      400,
+      `${method} ${path}: ${JSON.stringify(response.body)}`
+    );
+  }
+});
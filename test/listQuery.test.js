@@ -0,0 +1,70 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+
+const {
+  ListQueryError,
+  buildListQuery,
+  runListQuery,
+} = require("../utils/listQuery");
+const { createFakeCollection } = require("./helpers/fakeCollection");
+
+// legacy documents lack the sort field or hold null in it
+const collection = createFakeCollection(
+  [5, null, 3, undefined, 5, 1, null, 4].map((rating, index) => ({
+    _id: new ObjectId(index.toString(16).padStart(24, "0")),
+    ...(rating !== undefined && { rating }),
+  }))
+);
+
+// every page for the given sort order, one page of `limit` at a time
+const readAll = async (order, limit = 3) => {
+  const seen = [];
+  let cursor;
+  do {
+    const listQuery = buildListQuery(
+      { sort: "rating", order, limit: String(limit), cursor },
+      { sortFields: ["_id", "rating"] }
+    );
+    const page = await runListQuery(collection, listQuery);
+    seen.push(...page.data.map(({ _id }) => String(_id)));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return seen;
+};
+
+for (const order of ["asc", "desc"]) {
+  test(`paging ${order} visits documents missing the sort field`, async () => {
+    for (const limit of [1, 2, 3, 8]) {
+      const seen = await readAll(order, limit);
+      assert.equal(seen.length, collection.docs.length, `limit ${limit}`);
+      assert.equal(new Set(seen).size, seen.length, `limit ${limit}`);
+    }
+  });
+}
+
+test("cursors keep dates as dates", async () => {
+  const dated = createFakeCollection(
+    [1, 2, 3].map((day) => ({ at: new Date(Date.UTC(2025, 0, day)) }))
+  );
+  const options = { sortFields: ["at"] };
+  const first = await runListQuery(
+    dated,
+    buildListQuery({ limit: "2" }, options)
+  );
+  const second = await runListQuery(
+    dated,
+    buildListQuery({ limit: "2", cursor: first.nextCursor }, options)
+  );
+  assert.deepEqual(
+    second.data.map(({ at }) => at.getUTCDate()),
+    [1]
+  );
+});
+
+test("a malformed cursor is a ListQueryError", () => {
+  assert.throws(
+    () => buildListQuery({ cursor: "nope" }, { sortFields: ["_id"] }),
+    ListQueryError
+  );
+});
@@ -0,0 +1,125 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+
+const { createOutboxWorker } = require("../utils/outboxWorker");
+const { consoleTransport, createTransports } = require("../utils/transports");
+const {
+  DELIVERY_CODE,
+  fillDeliveryCode,
+  renderNotifications,
+} = require("../utils/notificationTemplates");
+const { createFakeCollection } = require("./helpers/fakeCollection");
+
+const parcel = {
+  _id: new ObjectId(),
+  trackingId: "ZS-TEST-7KQ4MX",
+  receiverName: "Receiver",
+  payment_method: "card",
+};
+
+const queued = (fields) => ({
+  _id: new ObjectId(),
+  channel: "sms",
+  to: "01722222222",
+  subject: "Your parcel is on the way",
+  body: "Hello",
+  status: "pending",
+  attempts: 0,
+  next_attempt_at: new Date(0),
+  ...fields,
+});
+
+// a transport that remembers what it was given
+const memoryTransport = () => {
+  const sent = [];
+  return { name: "memory", sent, send: async (message) => sent.push(message) };
+};
+
+test("the delivery code is not rendered into stored messages", () => {
+  const receiver = renderNotifications("out_for_delivery", parcel).find(
+    ({ recipient }) => recipient === "receiver"
+  );
+  assert.ok(receiver.body.includes(DELIVERY_CODE));
+  assert.ok(!/\d{6}/.test(receiver.body));
+  assert.ok(fillDeliveryCode(receiver.body, "123456").endsWith("123456"));
+});
+
+test("channels without settings get no transport", () => {
+  const transports = createTransports({}, {});
+  assert.equal(transports.email, undefined);
+  assert.equal(transports.sms, undefined);
+  assert.equal(transports.push.name, "fcm");
+
+  const local = createTransports({ NOTIFY_TRANSPORT: "console" }, {});
+  assert.equal(local.email, consoleTransport);
+  assert.equal(local.sms, consoleTransport);
+});
+
+test("messages for an unconfigured channel are never marked sent", async () => {
+  const outbox = createFakeCollection([queued({ channel: "email" })]);
+  const worker = createOutboxWorker({
+    outboxCollection: outbox,
+    transports: {},
+  });
+
+  assert.equal(await worker.processBatch(), 1);
+  const [message] = outbox.docs;
+  assert.equal(message.status, "unconfigured");
+  assert.equal(message.sent_at, undefined);
+  // and not picked up again
+  assert.equal(await worker.processBatch(), 0);
+});
+
+test("prepare fills in the code at send time only", async () => {
+  const sms = memoryTransport();
+  const outbox = createFakeCollection([
+    queued({ body: `Your code: ${DELIVERY_CODE}` }),
+  ]);
+  const worker = createOutboxWorker({
+    outboxCollection: outbox,
+    transports: { sms },
+    prepare: async (message) => ({
+      ...message,
+      body: fillDeliveryCode(message.body, "123456"),
+      redacted_body: message.body,
+    }),
+  });
+
+  await worker.processBatch();
+  assert.equal(sms.sent[0].body, "Your code: 123456");
+  assert.equal(outbox.docs[0].status, "sent");
+  assert.equal(outbox.docs[0].body, `Your code: ${DELIVERY_CODE}`);
+});
+
+test("the console transport logs the redacted body", async (t) => {
+  const log = t.mock.method(console, "log", () => {});
+  await consoleTransport.send(
+    queued({ body: "Your code: 123456", redacted_body: "Your code: [code]" })
+  );
+  const [line] = log.mock.calls[0].arguments;
+  assert.ok(line.includes("[code]"));
+  assert.ok(!line.includes("123456"));
+});
+
+test("failed sends are retried with backoff", async () => {
+  const outbox = createFakeCollection([queued()]);
+  const worker = createOutboxWorker({
+    outboxCollection: outbox,
+    transports: {
+      sms: {
+        name: "down",
+        send: async () => {
+          throw new Error("gateway down");
+        },
+      },
+    },
+  });
+
+  await worker.processBatch();
+  const [message] = outbox.docs;
+  assert.equal(message.status, "pending");
+  assert.equal(message.attempts, 1);
+  assert.equal(message.last_error, "gateway down");
+  assert.ok(message.next_attempt_at > new Date());
+});
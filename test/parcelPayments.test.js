@@ -0,0 +1,128 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { NO_MONGOD, startApi } = require("./helpers/api");
+
+let api;
+before(async () => {
+  api = await startApi();
+  if (!api) return;
+  await api.createUser("sender@test.io");
+});
+after(async () => {
+  await api?.stop();
+});
+
+const startPayment = (parcel) =>
+  api.request("POST", "/create-payment-intent", {
+    as: "sender@test.io",
+    body: { parcelId: String(parcel._id) },
+  });
+
+// the customer pays the intent and the client confirms it
+const pay = (parcel, intent) => {
+  api.stripe.succeed(intent.id);
+  return api.request("POST", "/payments", {
+    as: "sender@test.io",
+    body: { parcelId: String(parcel._id), transactionId: intent.id },
+  });
+};
+
+const latestIntent = () => [...api.stripe.intents.values()].at(-1);
+
+test("asking again reuses the parcel's open intent", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await api.createParcel("sender@test.io");
+
+  const first = await startPayment(parcel);
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  const intents = api.stripe.intents.size;
+  const second = await startPayment(parcel);
+  assert.equal(second.body.clientSecret, first.body.clientSecret);
+  assert.equal(api.stripe.intents.size, intents);
+});
+
+test("an open intent is cancelled once the price changes", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await api.createParcel("sender@test.io");
+  await startPayment(parcel);
+  const stale = latestIntent();
+  await api.db
+    .collection("parcels")
+    .updateOne({ _id: parcel._id }, { $set: { cost: 90 } });
+
+  const response = await startPayment(parcel);
+  assert.equal(response.body.amount, 90);
+  assert.equal(stale.status, "canceled");
+  assert.notEqual(latestIntent().id, stale.id);
+});
+
+test("cancelling a parcel cancels its open intent", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await api.createParcel("sender@test.io");
+  await startPayment(parcel);
+  const open = latestIntent();
+
+  const response = await api.request("POST", `/parcels/${parcel._id}/cancel`, {
+    as: "sender@test.io",
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.equal(open.status, "canceled");
+});
+
+test("a second intent paying the same parcel is refunded", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await api.createParcel("sender@test.io");
+  const intent = await api.stripe.paymentIntents.create({
+    amount: 6000,
+    currency: "bdt",
+    metadata: { parcelId: String(parcel._id), email: "sender@test.io" },
+  });
+  const duplicate = await api.stripe.paymentIntents.create({
+    amount: 6000,
+    currency: "bdt",
+    metadata: { parcelId: String(parcel._id), email: "sender@test.io" },
+  });
+
+  assert.equal((await pay(parcel, intent)).status, 200);
+  const response = await pay(parcel, duplicate);
+  assert.equal(response.status, 409);
+
+  const [refund] = api.stripe.refundsIssued.slice(-1);
+  assert.equal(refund.payment_intent, duplicate.id);
+  assert.equal(
+    await api.db
+      .collection("payments")
+      .countDocuments({ parcelId: parcel._id }),
+    1
+  );
+  const stored = await api.db
+    .collection("parcels")
+    .findOne({ _id: parcel._id });
+  assert.equal(stored.refunded_intents[0].transactionId, duplicate.id);
+
+  // confirming it again refunds nothing more
+  const refunds = api.stripe.refundsIssued.length;
+  await pay(parcel, duplicate);
+  assert.equal(api.stripe.refundsIssued.length, refunds);
+});
+
+test("an intent paying a cancelled parcel is refunded, not recorded", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await api.createParcel("sender@test.io", {
+    delivery_status: "cancelled",
+  });
+  const intent = await api.stripe.paymentIntents.create({
+    amount: 6000,
+    currency: "bdt",
+    metadata: { parcelId: String(parcel._id), email: "sender@test.io" },
+  });
+
+  const response = await pay(parcel, intent);
+  assert.equal(response.status, 409);
+  const stored = await api.db
+    .collection("parcels")
+    .findOne({ _id: parcel._id });
+  assert.equal(stored.payment_status, "unpaid");
+  assert.equal(api.stripe.refundsIssued.at(-1).payment_intent, intent.id);
+});
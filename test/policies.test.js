@@ -0,0 +1,106 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+
+const { createPolicies } = require("../middlewares/policies");
+const { createFakeCollection } = require("./helpers/fakeCollection");
+
+const ROLES = ["user", "rider", "admin"];
+const emailFor = (role) => `${role}@test.io`;
+
+const parcelId = new ObjectId();
+const policies = createPolicies({
+  usersCollection: createFakeCollection(
+    ROLES.map((role) => ({ email: emailFor(role), role }))
+  ),
+  ridersCollection: createFakeCollection([
+    { email: emailFor("rider"), status: "approved" },
+  ]),
+  parcelCollection: createFakeCollection([
+    {
+      _id: parcelId,
+      created_by: emailFor("user"),
+      assigned_rider_email: emailFor("rider"),
+    },
+  ]),
+  parcelBatchesCollection: createFakeCollection(),
+  serviceCentersCollection: createFakeCollection(),
+  merchantsCollection: createFakeCollection(),
+});
+
+// runs `middleware` for a caller and reports the status it answered with,
+// or "next" when it let the request through
+const outcome = (middleware, role, req = {}) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      status: (code) => ({ send: () => resolve(code) }),
+    };
+    Promise.resolve(
+      middleware(
+        { user: { email: emailFor(role) }, params: {}, ...req },
+        res,
+        () => resolve("next")
+      )
+    ).catch(reject);
+  });
+
+const matrix = {
+  verifyAdmin: { user: 403, rider: 403, admin: "next" },
+  verifyRiderOrAdmin: { user: 403, rider: "next", admin: "next" },
+  verifyRider: { user: 403, rider: "next", admin: 403 },
+};
+
+for (const [policy, expected] of Object.entries(matrix)) {
+  for (const role of ROLES) {
+    test(`${policy} answers ${expected[role]} for a ${role}`, async () => {
+      assert.equal(await outcome(policies[policy], role), expected[role]);
+    });
+  }
+}
+
+test("verifyRider turns away riders who are not approved", async () => {
+  const pending = createPolicies({
+    usersCollection: createFakeCollection([
+      { email: emailFor("rider"), role: "rider" },
+    ]),
+    ridersCollection: createFakeCollection([
+      { email: emailFor("rider"), status: "pending" },
+    ]),
+  });
+  assert.equal(await outcome(pending.verifyRider, "rider"), 403);
+});
+
+test("verifySelfOrAdmin lets callers see only their own records", async () => {
+  const ownRecord = policies.verifySelfOrAdmin((req) => req.params.email);
+  for (const role of ROLES) {
+    const self = { params: { email: emailFor(role) } };
+    const other = { params: { email: "someone@test.io" } };
+    assert.equal(await outcome(ownRecord, role, self), "next");
+    assert.equal(
+      await outcome(ownRecord, role, other),
+      role === "admin" ? "next" : 403
+    );
+  }
+});
+
+test("verifyParcelAccess: owner and admin, assigned rider when allowed", async () => {
+  const req = { params: { id: parcelId.toString() } };
+  const ownerOnly = policies.verifyParcelAccess();
+  const withRider = policies.verifyParcelAccess({ allowAssignedRider: true });
+
+  assert.equal(await outcome(ownerOnly, "user", req), "next");
+  assert.equal(await outcome(ownerOnly, "rider", req), 403);
+  assert.equal(await outcome(ownerOnly, "admin", req), "next");
+  assert.equal(await outcome(withRider, "rider", req), "next");
+
+  assert.equal(
+    await outcome(ownerOnly, "user", { params: { id: "nope" } }),
+    400
+  );
+  assert.equal(
+    await outcome(ownerOnly, "admin", {
+      params: { id: new ObjectId().toString() },
+    }),
+    404
+  );
+});
@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("node:timers/promises");
+
+const { createPubSub } = require("../utils/pubsub");
+
+test("channels nobody listens on keep no history", async () => {
+  const pubsub = createPubSub();
+  for (let i = 0; i < 100; i++) {
+    await pubsub.publish(`tracking:ZS-${i}`, "tracking", { i });
+  }
+  assert.deepEqual(pubsub.historyChannels(), []);
+});
+
+test("a reconnecting client gets missed events until the history expires", async () => {
+  const pubsub = createPubSub({ historyTtlMs: 50 });
+  const received = [];
+  const unsubscribe = pubsub.subscribe("rider:a@test.io", (event) =>
+    received.push(event.data)
+  );
+  const first = await pubsub.publish("rider:a@test.io", "assigned", 1);
+  unsubscribe();
+
+  // published while the client was away
+  await pubsub.publish("rider:a@test.io", "assigned", 2);
+  const replayed = [];
+  pubsub.subscribe(
+    "rider:a@test.io",
+    (event) => replayed.push(event.data),
+    first.id
+  )();
+  assert.deepEqual(received, [1]);
+  assert.deepEqual(replayed, [2]);
+
+  await sleep(80);
+  assert.deepEqual(pubsub.historyChannels(), []);
+});
+
+test("history stays capped at historySize events", async () => {
+  const pubsub = createPubSub({ historySize: 3 });
+  pubsub.subscribe("rider:b@test.io", () => {});
+  for (let i = 0; i < 10; i++) {
+    await pubsub.publish("rider:b@test.io", "assigned", i);
+  }
+  const replayed = [];
+  pubsub.subscribe(
+    "rider:b@test.io",
+    (event) => replayed.push(event.data),
+    "0-0"
+  );
+  assert.deepEqual(replayed, [7, 8, 9]);
+});
@@ -0,0 +1,122 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { NO_MONGOD, startApi } = require("./helpers/api");
+
+let api;
+before(async () => {
+  api = await startApi();
+  if (!api) return;
+  await api.createUser("sender@test.io");
+  await api.createUser("admin@test.io", "admin");
+});
+after(async () => {
+  await api?.stop();
+});
+
+// a parcel paid through the mocked Stripe
+const paidParcel = async () => {
+  const parcel = await api.createParcel("sender@test.io", {
+    payment_status: "paid",
+  });
+  const intent = await api.stripe.paymentIntents.create({
+    amount: 6000,
+    currency: "bdt",
+    metadata: { parcelId: String(parcel._id) },
+  });
+  await api.db.collection("payments").insertOne({
+    parcelId: parcel._id,
+    transactionId: intent.id,
+    email: "sender@test.io",
+    amount: 60,
+    status: "succeeded",
+  });
+  return parcel;
+};
+
+test("cancelling a paid parcel refunds it through Stripe", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await paidParcel();
+
+  const response = await api.request("POST", `/parcels/${parcel._id}/cancel`, {
+    as: "sender@test.io",
+  });
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  assert.deepEqual(response.body.data, { refunded: 60, full: true });
+
+  const [refund] = api.stripe.refundsIssued.slice(-1);
+  assert.equal(refund.amount, 6000);
+  const payment = await api.db
+    .collection("payments")
+    .findOne({ parcelId: parcel._id });
+  assert.equal(payment.status, "refunded");
+  assert.equal(payment.refunds.length, 1);
+});
+
+test("a failed refund is listed for admins and can be retried", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await paidParcel();
+  const create = api.stripe.refunds.create;
+  api.stripe.refunds.create = async () => {
+    throw new Error("Stripe is down");
+  };
+
+  try {
+    const cancelled = await api.request(
+      "POST",
+      `/parcels/${parcel._id}/cancel`,
+      { as: "sender@test.io" }
+    );
+    assert.equal(cancelled.status, 502);
+
+    const failed = await api.request("GET", "/refunds/failed", {
+      as: "admin@test.io",
+    });
+    assert.equal(failed.status, 200);
+    const listed = failed.body.data.find(
+      ({ _id }) => _id === String(parcel._id)
+    );
+    assert.equal(listed.refund_error.message, "Stripe is down");
+    assert.equal(listed.refund_amount, 60);
+
+    // still down: the retry fails and the refund stays listed
+    const again = await api.request(
+      "POST",
+      `/parcels/${parcel._id}/refund/retry`,
+      { as: "admin@test.io" }
+    );
+    assert.equal(again.status, 502);
+  } finally {
+    api.stripe.refunds.create = create;
+  }
+
+  const forbidden = await api.request(
+    "POST",
+    `/parcels/${parcel._id}/refund/retry`,
+    { as: "sender@test.io" }
+  );
+  assert.equal(forbidden.status, 403);
+
+  const retried = await api.request(
+    "POST",
+    `/parcels/${parcel._id}/refund/retry`,
+    { as: "admin@test.io" }
+  );
+  assert.equal(retried.status, 200, JSON.stringify(retried.body));
+  assert.equal(retried.body.data.refunded, 60);
+
+  const updated = await api.db
+    .collection("parcels")
+    .findOne({ _id: parcel._id });
+  assert.equal(updated.refund_status, "refunded");
+  assert.equal(updated.refund_attempts, 3);
+  assert.equal(updated.refund_error, undefined);
+
+  // a refunded parcel has nothing left to retry
+  const done = await api.request(
+    "POST",
+    `/parcels/${parcel._id}/refund/retry`,
+    { as: "admin@test.io" }
+  );
+  assert.equal(done.status, 409);
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { NO_MONGOD, startApi } = require("./helpers/api");
+
+let api;
+let parcel;
+before(async () => {
+  api = await startApi();
+  if (!api) return;
+  await api.createUser("user@test.io", "user");
+  await api.createUser("rider@test.io", "rider");
+  await api.createUser("admin@test.io", "admin");
+  parcel = await api.createParcel("user@test.io", {
+    assigned_rider_email: "rider@test.io",
+  });
+});
+after(async () => {
+  await api?.stop();
+});
+
+// status each role gets back from a route; 401 is for no token at all
+const routes = () => [
+  ["GET", "/riders/pending", { user: 403, rider: 403, admin: 200 }],
+  ["GET", "/audit-logs", { user: 403, rider: 403, admin: 200 }],
+  ["GET", "/rider/parcels", { user: 403, rider: 200, admin: 403 }],
+  ["GET", "/users/user@test.io/role", { user: 200, rider: 403, admin: 200 }],
+  [
+    "GET",
+    `/parcels/${parcel._id}`,
+    { user: 200, rider: 200, admin: 200, anonymous: 401 },
+  ],
+  [
+    "DELETE",
+    `/parcels/${new Array(24).fill("0").join("")}`,
+    { user: 404, rider: 404, admin: 404 },
+  ],
+];
+
+test("each role reaches exactly the routes it may", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  for (const [method, path, expected] of routes()) {
+    for (const [role, status] of Object.entries(expected)) {
+      const as = role === "anonymous" ? undefined : `${role}@test.io`;
+      const response = await api.request(method, path, { as });
+      assert.equal(
+        response.status,
+        status,
+        `${method} ${path} as ${role}: ${JSON.stringify(response.body)}`
+      );
+    }
+  }
+});
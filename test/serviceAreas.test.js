@@ -0,0 +1,65 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { calculateRiderEarning } = require("../utils/commission");
+const { calculateParcelCost } = require("../utils/pricing");
+const { scoreRider } = require("../utils/riderRanking");
+const {
+  ServiceAreaError,
+  planRoute,
+  servesLinehaul,
+} = require("../utils/serviceAreas");
+
+const centers = [
+  { _id: 1, name: "Dhaka Hub", district: "Dhaka" },
+  { _id: 2, name: "Sylhet Hub", district: "Sylhet" },
+];
+const parcel = { senderDistrict: "Dhaka", receiverDistrict: "Sylhet" };
+
+test("nothing can be booked while no service center is active", () => {
+  assert.throws(
+    () => planRoute(parcel, []),
+    (error) => error instanceof ServiceAreaError && error.field === null
+  );
+});
+
+test("inter-district parcels get a route between their hubs", () => {
+  const route = planRoute(parcel, centers);
+  assert.equal(route.origin_hub.name, "Dhaka Hub");
+  assert.equal(route.destination_hub.name, "Sylhet Hub");
+  assert.equal(route.current_leg, "pickup");
+  assert.equal(
+    planRoute({ ...parcel, receiverDistrict: "dhaka " }, centers),
+    null
+  );
+});
+
+test("only riders from either hub's district carry the linehaul", () => {
+  const route = planRoute(parcel, centers);
+  assert.equal(servesLinehaul({ district: "Dhaka" }, route), true);
+  assert.equal(servesLinehaul({ district: "sylhet" }, route), true);
+  assert.equal(servesLinehaul({ district: "Khulna" }, route), false);
+  assert.equal(servesLinehaul({}, route), false);
+});
+
+test("districts match whatever their case and spacing", () => {
+  const local = {
+    type: "document",
+    senderDistrict: "Dhaka",
+    receiverDistrict: " dhaka",
+    cost: 100,
+  };
+  assert.equal(calculateParcelCost(local).breakdown.zone, "within_district");
+  assert.equal(scoreRider(local, { district: "DHAKA" }).same_district, true);
+  assert.equal(scoreRider(local, {}).same_district, false);
+  assert.equal(calculateRiderEarning(local).rule_id, "default-same-district");
+
+  const rule = {
+    _id: "dhaka",
+    name: "Dhaka",
+    priority: 1,
+    match: { district: "Dhaka " },
+    rate: 0.5,
+  };
+  assert.equal(calculateRiderEarning(local, [rule]).rule_id, "dhaka");
+});
@@ -0,0 +1,53 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { NO_MONGOD, startApi } = require("./helpers/api");
+
+let api;
+before(async () => {
+  api = await startApi();
+  if (api) await api.createUser("rider@test.io", "rider");
+});
+after(async () => {
+  await api?.stop();
+});
+
+// status of opening the rider stream with `query`; the stream is closed
+// as soon as the headers are in
+const openStream = async (query) => {
+  const controller = new AbortController();
+  const response = await api.request("GET", `/rider/stream?${query}`, {
+    signal: controller.signal,
+    stream: true,
+  });
+  controller.abort();
+  return response.status;
+};
+
+test("SSE streams open with a single-use ticket", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const issued = await api.request("POST", "/stream-tickets", {
+    as: "rider@test.io",
+  });
+  assert.equal(issued.status, 201);
+  const { ticket } = issued.body.data;
+
+  assert.equal(await openStream(`ticket=${ticket}`), 200);
+  assert.equal(await openStream(`ticket=${ticket}`), 401);
+});
+
+test("Firebase tokens are no longer taken from the URL", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  assert.equal(await openStream("token=rider@test.io"), 401);
+});
+
+test("expired tickets are refused", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const issued = await api.request("POST", "/stream-tickets", {
+    as: "rider@test.io",
+  });
+  await api.db
+    .collection("stream_tickets")
+    .updateMany({}, { $set: { expires_at: new Date(Date.now() - 1000) } });
+  assert.equal(await openStream(`ticket=${issued.body.data.ticket}`), 401);
+});
@@ -0,0 +1,124 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { NO_MONGOD, signedEvent, startApi } = require("./helpers/api");
+
+const fixture = (name, metadata) => {
+  const event = structuredClone(require(`./fixtures/stripe/${name}.json`));
+  if (metadata) Object.assign(event.data.object.metadata, metadata);
+  return event;
+};
+
+let api;
+before(async () => {
+  api = await startApi();
+});
+after(async () => {
+  await api?.stop();
+});
+
+const post = (event, signature) => {
+  const signed = signedEvent(api.stripe, event);
+  return api.request("POST", "/stripe/webhook", {
+    body: signed.payload,
+    headers: {
+      "Content-Type": "application/json",
+      "Stripe-Signature": signature ?? signed.signature,
+    },
+  });
+};
+
+test("a signed payment_intent.succeeded settles the parcel once", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const sender = await api.createUser("sender@test.io");
+  const parcel = await api.createParcel(sender);
+  const event = fixture("payment_intent.succeeded", {
+    parcelId: parcel._id.toString(),
+    email: sender,
+  });
+
+  const first = await post(event);
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body, { received: true });
+
+  const paid = await api.db.collection("parcels").findOne({ _id: parcel._id });
+  assert.equal(paid.payment_status, "paid");
+  const payments = await api.db
+    .collection("payments")
+    .find({ parcelId: parcel._id })
+    .toArray();
+  assert.equal(payments.length, 1);
+  assert.equal(payments[0].amount, 60);
+  assert.equal(payments[0].transactionId, "pi_test_fixture");
+
+  // Stripe redelivers events; the second copy is acknowledged only
+  const again = await post(event);
+  assert.equal(again.status, 200);
+  assert.deepEqual(again.body, { received: true, duplicate: true });
+  assert.equal(
+    await api.db.collection("payments").countDocuments({ parcelId: parcel._id }),
+    1
+  );
+});
+
+test("events with a bad or missing signature are rejected", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const event = fixture("payment_intent.succeeded");
+  event.id = "evt_test_forged";
+
+  const forged = await post(event, "t=1,v1=deadbeef");
+  assert.equal(forged.status, 400);
+  const unsigned = await api.request("POST", "/stripe/webhook", {
+    body: event,
+  });
+  assert.equal(unsigned.status, 400);
+  assert.equal(
+    await api.db
+      .collection("stripe_events")
+      .countDocuments({ _id: "evt_test_forged" }),
+    0
+  );
+});
+
+test("payment_intent.payment_failed records the error on the parcel", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const sender = await api.createUser("failed@test.io");
+  const parcel = await api.createParcel(sender);
+
+  const response = await post(
+    fixture("payment_intent.payment_failed", {
+      parcelId: parcel._id.toString(),
+      email: sender,
+    })
+  );
+  assert.equal(response.status, 200);
+
+  const updated = await api.db
+    .collection("parcels")
+    .findOne({ _id: parcel._id });
+  assert.equal(updated.payment_status, "unpaid");
+  assert.equal(updated.payment_error.transactionId, "pi_test_failed");
+  assert.equal(updated.payment_error.message, "Your card was declined.");
+});
+
+test("charge.refunded mirrors a partial refund", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  // the parcel paid in the first test
+  const payment = await api.db
+    .collection("payments")
+    .findOne({ transactionId: "pi_test_fixture" });
+  assert.ok(payment, "runs after the succeeded event test");
+
+  const response = await post(fixture("charge.refunded"));
+  assert.equal(response.status, 200);
+
+  const refunded = await api.db
+    .collection("payments")
+    .findOne({ _id: payment._id });
+  assert.equal(refunded.status, "partially_refunded");
+  assert.equal(refunded.refunded_amount, 30);
+  const parcel = await api.db
+    .collection("parcels")
+    .findOne({ _id: payment.parcelId });
+  assert.equal(parcel.payment_status, "partially_refunded");
+});
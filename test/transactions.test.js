@@ -0,0 +1,175 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { Collection, ObjectId } = require("mongodb");
+
+const { NO_MONGOD, startApi } = require("./helpers/api");
+
+let api;
+before(async () => {
+  api = await startApi();
+  if (!api) return;
+  await api.createUser("sender@test.io");
+  await api.createUser("admin@test.io", "admin");
+  await api.createUser("rider@test.io", "rider");
+});
+after(async () => {
+  await api?.stop();
+});
+
+// make every `method` call on `collection` within a transaction fail for the
+// rest of the test, so the transaction aborts after its earlier writes
+const failInTransaction = (t, collection, method) => {
+  const original = Collection.prototype[method];
+  t.mock.method(Collection.prototype, method, function (...args) {
+    if (this.collectionName === collection && args.at(-1)?.session) {
+      return Promise.reject(new Error(`${collection}.${method} failed`));
+    }
+    return original.apply(this, args);
+  });
+};
+
+test("an aborted payment leaves the parcel unpaid", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await api.createParcel("sender@test.io");
+  const intent = await api.stripe.paymentIntents.create({
+    amount: 6000,
+    currency: "bdt",
+    metadata: { parcelId: String(parcel._id), email: "sender@test.io" },
+  });
+  api.stripe.succeed(intent.id);
+  failInTransaction(t, "payments", "updateOne");
+
+  const response = await api.request("POST", "/payments", {
+    as: "sender@test.io",
+    body: { parcelId: String(parcel._id), transactionId: intent.id },
+  });
+  assert.equal(response.status, 500);
+
+  const stored = await api.db
+    .collection("parcels")
+    .findOne({ _id: parcel._id });
+  assert.equal(stored.payment_status, "unpaid");
+  assert.equal(
+    await api.db
+      .collection("payments")
+      .countDocuments({ parcelId: parcel._id }),
+    0
+  );
+});
+
+test("an aborted rider approval leaves the rider and the role as they were", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  await api.createUser("applicant@test.io");
+  const { insertedId } = await api.db.collection("riders").insertOne({
+    email: "applicant@test.io",
+    name: "applicant",
+    status: "pending",
+  });
+  failInTransaction(t, "users", "updateOne");
+
+  const response = await api.request("PATCH", `/riders/${insertedId}/status`, {
+    as: "admin@test.io",
+    body: { status: "approved" },
+  });
+  assert.equal(response.status, 500);
+
+  const rider = await api.db.collection("riders").findOne({ _id: insertedId });
+  assert.equal(rider.status, "pending");
+  const user = await api.db
+    .collection("users")
+    .findOne({ email: "applicant@test.io" });
+  assert.equal(user.role, "user");
+});
+
+test("an aborted payout request leaves the credits unclaimed", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const ledger = api.db.collection("rider_ledger");
+  const { insertedId } = await ledger.insertOne({
+    type: "credit",
+    rider_email: "rider@test.io",
+    amount: 40,
+    payout_id: null,
+    created_at: new Date().toISOString(),
+  });
+  failInTransaction(t, "payouts", "insertOne");
+
+  const response = await api.request("POST", "/rider/payouts", {
+    as: "rider@test.io",
+  });
+  assert.equal(response.status, 500);
+
+  const credit = await ledger.findOne({ _id: insertedId });
+  assert.equal(credit.payout_id, null);
+  assert.equal(
+    await api.db
+      .collection("payouts")
+      .countDocuments({ rider_email: "rider@test.io" }),
+    0
+  );
+  await ledger.deleteOne({ _id: insertedId });
+});
+
+test("an aborted COD deposit leaves the cash with the rider", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await api.createParcel("sender@test.io", {
+    payment_method: "cod",
+    delivery_status: "delivered",
+    cod: {
+      amount: 500,
+      status: "collected",
+      collected_amount: 500,
+      collected_by: "rider@test.io",
+      settlement_id: null,
+    },
+  });
+  failInTransaction(t, "cod_settlements", "insertOne");
+
+  const response = await api.request("POST", "/rider/cod/settlements", {
+    as: "rider@test.io",
+    body: { deposited_amount: 500, reference: "BANK-1" },
+  });
+  assert.equal(response.status, 500);
+
+  const stored = await api.db
+    .collection("parcels")
+    .findOne({ _id: parcel._id });
+  assert.equal(stored.cod.settlement_id, null);
+  assert.equal(
+    await api.db
+      .collection("cod_settlements")
+      .countDocuments({ rider_email: "rider@test.io" }),
+    0
+  );
+  await api.db.collection("parcels").deleteOne({ _id: parcel._id });
+});
+
+test("a transaction that commits keeps all of its writes", async (t) => {
+  if (!api) return t.skip(NO_MONGOD);
+  const parcel = await api.createParcel("sender@test.io", {
+    payment_method: "cod",
+    delivery_status: "delivered",
+    cod: {
+      amount: 300,
+      status: "collected",
+      collected_amount: 300,
+      collected_by: "rider@test.io",
+      settlement_id: null,
+    },
+  });
+
+  const response = await api.request("POST", "/rider/cod/settlements", {
+    as: "rider@test.io",
+    body: { deposited_amount: 300, reference: "BANK-2" },
+  });
+  assert.equal(response.status, 201, JSON.stringify(response.body));
+
+  const stored = await api.db
+    .collection("parcels")
+    .findOne({ _id: parcel._id });
+  assert.ok(stored.cod.settlement_id instanceof ObjectId);
+  const settlement = await api.db
+    .collection("cod_settlements")
+    .findOne({ _id: stored.cod.settlement_id });
+  assert.equal(settlement.amount, 300);
+  assert.equal(settlement.difference, 0);
+});
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validate } = require("../utils/validation");
+const { parcelSchema } = require("../utils/schemas");
+const { PricingError, calculateParcelCost } = require("../utils/pricing");
+const { ServiceAreaError, planRoute } = require("../utils/serviceAreas");
+
+const parcel = (fields) => ({
+  type: "document",
+  senderName: "Sender",
+  senderPhone: "01711111111",
+  senderRegion: "Dhaka",
+  senderDistrict: "Dhaka",
+  senderAddress: "Road 1",
+  receiverName: "Receiver",
+  receiverPhone: "01722222222",
+  receiverRegion: "Dhaka",
+  receiverDistrict: "Dhaka",
+  receiverAddress: "Road 2",
+  ...fields,
+});
+
+test("weight is required for non-document parcels only", () => {
+  assert.deepEqual(validate(parcel(), parcelSchema).errors, []);
+  assert.deepEqual(
+    validate(parcel({ type: "non-document" }), parcelSchema).errors,
+    [{ field: "weight", message: "is required" }]
+  );
+  assert.deepEqual(
+    validate(parcel({ type: "non-document", weight: 2 }), parcelSchema).errors,
+    []
+  );
+});
+
+test("pricing and coverage errors name the field at fault", () => {
+  assert.throws(
+    () => calculateParcelCost({ ...parcel({ type: "non-document" }) }),
+    (error) => error instanceof PricingError && error.field === "weight"
+  );
+  assert.throws(
+    () =>
+      planRoute(parcel({ receiverDistrict: "Sylhet" }), [
+        { _id: 1, district: "Dhaka" },
+      ]),
+    (error) =>
+      error instanceof ServiceAreaError && error.field === "receiverDistrict"
+  );
+});
@@ -0,0 +1,209 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { once } = require("events");
+const { ObjectId } = require("mongodb");
+
+const { createOutboxWorker } = require("../utils/outboxWorker");
+const {
+  isPrivateAddress,
+  signatureHeader,
+  validateWebhookUrl,
+  verifySignature,
+  webhookTransport,
+} = require("../utils/webhooks");
+const { createFakeCollection } = require("./helpers/fakeCollection");
+
+const SECRET = "whsec_test";
+
+// a receiver on localhost answering with the queued statuses, then 200
+let receiver;
+let received;
+let statuses;
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  receiver.listen(0, "127.0.0.1");
+  await once(receiver, "listening");
+});
+after(() => receiver.close());
+
+const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hook`;
+
+// a resolver answering every host with `address`
+const resolvesTo = (address) => async () =>
+  [{ address, family: address.includes(":") ? 6 : 4 }];
+
+// a webhook with one delivery queued for it, and a worker to send it
+const setup = (transportOptions) => {
+  received = [];
+  statuses = [];
+  const webhook = {
+    _id: new ObjectId(),
+    url: receiverUrl(),
+    secret: SECRET,
+    active: true,
+  };
+  const delivery = {
+    _id: new ObjectId(),
+    channel: "webhook",
+    webhook_id: webhook._id,
+    event: "parcel.status_changed",
+    body: JSON.stringify({ trackingId: "ZS-TEST-7KQ4MX" }),
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: new Date(0),
+  };
+  const deliveries = createFakeCollection([delivery]);
+  const worker = createOutboxWorker({
+    outboxCollection: deliveries,
+    transports: {
+      webhook: webhookTransport({
+        webhooksCollection: createFakeCollection([webhook]),
+        ...transportOptions,
+      }),
+    },
+  });
+  const logged = () => deliveries.findOne({ _id: delivery._id });
+  // make the next retry due now
+  const due = () =>
+    deliveries.updateOne(
+      { _id: delivery._id },
+      { $set: { next_attempt_at: new Date(0) } }
+    );
+  return { delivery, worker, logged, due };
+};
+
+test("signatures verify only for the same body, secret and time", () => {
+  const body = '{"a":1}';
+  const now = Date.now();
+  const header = signatureHeader(SECRET, body, now);
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+
+  assert.equal(verifySignature(SECRET, header, body, now), true);
+  assert.equal(verifySignature(SECRET, header, '{"a":2}', now), false);
+  assert.equal(verifySignature("whsec_other", header, body, now), false);
+  assert.equal(
+    verifySignature(SECRET, header, body, now + 10 * 60 * 1000),
+    false
+  );
+  assert.equal(verifySignature(SECRET, "garbage", body, now), false);
+});
+
+test("private, local and metadata addresses are refused", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.20.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "0.0.0.0",
+    "::1",
+    "fd12::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+  ]) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  assert.equal(isPrivateAddress("93.184.216.34"), false);
+  assert.equal(isPrivateAddress("2606:2800:220:1::1"), false);
+  assert.equal(isPrivateAddress("172.32.0.1"), false);
+});
+
+test("webhook URLs must be http(s) and resolve to public hosts", async () => {
+  const publicHost = { lookup: resolvesTo("93.184.216.34") };
+  assert.deepEqual(
+    await validateWebhookUrl("https://shop.example/hook", publicHost),
+    []
+  );
+  assert.deepEqual(await validateWebhookUrl("ftp://shop.example", publicHost), [
+    "url must use https",
+  ]);
+  assert.deepEqual(
+    await validateWebhookUrl("http://shop.example/hook", {
+      ...publicHost,
+      env: { NODE_ENV: "production" },
+    }),
+    ["url must use https"]
+  );
+  assert.deepEqual(
+    await validateWebhookUrl("https://internal.example/hook", {
+      lookup: resolvesTo("10.0.0.5"),
+    }),
+    ["url must not point to a private or local address"]
+  );
+  assert.deepEqual(
+    await validateWebhookUrl("https://nowhere.example/hook", {
+      lookup: async () => {
+        throw new Error("ENOTFOUND");
+      },
+    }),
+    ["url host could not be resolved"]
+  );
+  // literal addresses are checked without asking DNS
+  assert.deepEqual(await validateWebhookUrl("http://169.254.169.254/latest"), [
+    "url must not point to a private or local address",
+  ]);
+  assert.deepEqual(await validateWebhookUrl("http://[::1]:8080/"), [
+    "url must not point to a private or local address",
+  ]);
+});
+
+test("deliveries are signed and logged as sent", async () => {
+  const { delivery, worker, logged } = setup({ allowPrivate: true });
+
+  assert.equal(await worker.processBatch(), 1);
+  const [request] = received;
+  assert.equal(request.body, delivery.body);
+  assert.equal(request.headers["zap-event"], "parcel.status_changed");
+  assert.equal(request.headers["zap-delivery"], String(delivery._id));
+  assert.equal(
+    verifySignature(SECRET, request.headers["zap-signature"], request.body),
+    true
+  );
+
+  const log = await logged();
+  assert.equal(log.status, "sent");
+  assert.equal(log.transport, "webhook");
+});
+
+test("failed deliveries are retried with backoff", async () => {
+  const { worker, logged, due } = setup({ allowPrivate: true });
+  statuses.push(500);
+
+  await worker.processBatch();
+  let log = await logged();
+  assert.equal(log.status, "pending");
+  assert.equal(log.attempts, 1);
+  assert.equal(log.last_error, "HTTP 500");
+  assert.ok(log.next_attempt_at > new Date());
+
+  // not due yet
+  assert.equal(await worker.processBatch(), 0);
+
+  await due();
+  await worker.processBatch();
+  log = await logged();
+  assert.equal(log.status, "sent");
+  assert.equal(received.length, 2);
+});
+
+test("deliveries to a private address are refused when sending", async () => {
+  const { worker, logged } = setup();
+
+  await worker.processBatch();
+  const log = await logged();
+  assert.equal(log.status, "pending");
+  assert.equal(
+    log.last_error,
+    "url must not point to a private or local address"
+  );
+  assert.equal(received.length, 0);
+});
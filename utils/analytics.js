@@ -0,0 +1,190 @@
+// Aggregation pipelines behind the admin analytics routes. Timestamps are
+// stored as ISO strings, so they are converted with $dateFromString first.
+
+const { ListQueryError, buildDateRange } = require("./listQuery");
+
+const INTERVALS = ["day", "week", "month"];
+const HOUR_MS = 60 * 60 * 1000;
+
+const toDate = (field) => ({
+  $dateFromString: { dateString: field, onError: null, onNull: null },
+});
+
+const matchRange = (query, field) => {
+  const range = buildDateRange(query, field);
+  return range ? [{ $match: range }] : [];
+};
+
+const parseInterval = (interval = "day") => {
+  if (!INTERVALS.includes(interval)) {
+    throw new ListQueryError(
+      `interval must be one of: ${INTERVALS.join(", ")}`
+    );
+  }
+  return interval;
+};
+
+const byPeriod = (field, interval) => ({
+  $dateTrunc: { date: toDate(field), unit: interval, startOfWeek: "saturday" },
+});
+
+// parcels booked per period
+const parcelVolumePipeline = (query) => {
+  const interval = parseInterval(query.interval);
+  return [
+    ...matchRange(query, "createdAt"),
+    { $group: { _id: byPeriod("$createdAt", interval), parcels: { $sum: 1 } } },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, period: "$_id", parcels: 1 } },
+  ];
+};
+
+// payments and revenue (net of refunds) per period
+const revenuePipeline = (query) => {
+  const interval = parseInterval(query.interval);
+  return [
+    ...matchRange(query, "payment_time"),
+    {
+      $group: {
+        _id: byPeriod("$payment_time", interval),
+        payments: { $sum: 1 },
+        gross: { $sum: "$amount" },
+        refunded: { $sum: { $ifNull: ["$refunded_amount", 0] } },
+      },
+    },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        period: "$_id",
+        payments: 1,
+        gross: 1,
+        refunded: 1,
+        revenue: { $subtract: ["$gross", "$refunded"] },
+      },
+    },
+  ];
+};
+
+const averageHours = (from, to) => ({
+  $avg: {
+    $cond: [
+      { $and: [{ $ne: [from, null] }, { $ne: [to, null] }] },
+      { $divide: [{ $subtract: [to, from] }, HOUR_MS] },
+      null,
+    ],
+  },
+});
+
+// average hours from payment to assignment and from pickup to delivery
+const timingsPipeline = (query, paymentsCollectionName) => [
+  ...matchRange(query, "createdAt"),
+  {
+    $lookup: {
+      from: paymentsCollectionName,
+      localField: "_id",
+      foreignField: "parcelId",
+      pipeline: [{ $sort: { payment_time: 1 } }, { $limit: 1 }],
+      as: "payment",
+    },
+  },
+  {
+    $project: {
+      paid_at: toDate({ $first: "$payment.payment_time" }),
+      assigned_at: toDate("$assigned_at"),
+      picked_at: toDate("$picked_at"),
+      delivered_at: toDate("$delivered_at"),
+    },
+  },
+  {
+    $group: {
+      _id: null,
+      payment_to_assignment_hours: averageHours("$paid_at", "$assigned_at"),
+      pickup_to_delivery_hours: averageHours("$picked_at", "$delivered_at"),
+    },
+  },
+  { $project: { _id: 0 } },
+];
+
+// delivered parcels per receiver district or region
+const deliveriesByAreaPipeline = (query) => {
+  const field =
+    query.group === "region" ? "$receiverRegion" : "$receiverDistrict";
+  return [
+    { $match: { delivery_status: "delivered" } },
+    ...matchRange(query, "delivered_at"),
+    { $group: { _id: field, deliveries: { $sum: 1 } } },
+    { $sort: { deliveries: -1 } },
+    { $project: { _id: 0, area: "$_id", deliveries: 1 } },
+  ];
+};
+
+// riders with the most deliveries (or earnings when sort=earnings)
+const topRidersPipeline = (query) => {
+  const limit = Math.min(parseInt(query.limit) || 10, 100);
+  const sortField = query.sort === "earnings" ? "earnings" : "deliveries";
+  return [
+    { $match: { delivery_status: "delivered" } },
+    ...matchRange(query, "delivered_at"),
+    {
+      $group: {
+        _id: "$assigned_rider_email",
+        name: { $first: "$assigned_rider_name" },
+        deliveries: { $sum: 1 },
+        earnings: { $sum: { $ifNull: ["$rider_earning", 0] } },
+      },
+    },
+    { $sort: { [sortField]: -1 } },
+    { $limit: limit },
+    {
+      $project: { _id: 0, email: "$_id", name: 1, deliveries: 1, earnings: 1 },
+    },
+  ];
+};
+
+// what is owed to each rider: ledger credits not yet settled by a payout,
+// as of the `to` date when given
+const riderLiabilitiesPipeline = (query) => [
+  ...matchRange({ to: query.to }, "created_at"),
+  {
+    $group: {
+      _id: "$rider_email",
+      credited: {
+        $sum: { $cond: [{ $eq: ["$type", "credit"] }, "$amount", 0] },
+      },
+      paid_out: {
+        $sum: { $cond: [{ $eq: ["$type", "debit"] }, "$amount", 0] },
+      },
+    },
+  },
+  {
+    $project: {
+      credited: 1,
+      paid_out: 1,
+      owed: { $subtract: ["$credited", "$paid_out"] },
+    },
+  },
+  { $match: { owed: { $gt: 0 } } },
+  { $sort: { owed: -1 } },
+  {
+    $project: {
+      _id: 0,
+      rider_email: "$_id",
+      credited: 1,
+      paid_out: 1,
+      owed: 1,
+    },
+  },
+];
+
+module.exports = {
+  INTERVALS,
+  deliveriesByAreaPipeline,
+  parcelVolumePipeline,
+  revenuePipeline,
+  riderLiabilitiesPipeline,
+  timingsPipeline,
+  topRidersPipeline,
+};
@@ -0,0 +1,21 @@
+// Merchant API keys. Only a SHA-256 hash of a key is stored; the key itself
+// is shown once when it is created. Keys look like zsk_<prefix>_<secret> and
+// are sent in the X-API-Key header.
+
+const crypto = require("crypto");
+
+// what a key may be used for
+const API_KEY_SCOPES = ["parcels:read", "parcels:write"];
+
+const hashApiKey = (key) =>
+  crypto.createHash("sha256").update(String(key)).digest("hex");
+
+// { key, prefix, key_hash }; the prefix identifies the key in listings
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const key = `zsk_${prefix}_${secret}`;
+  return { key, prefix, key_hash: hashApiKey(key) };
+};
+
+module.exports = { API_KEY_SCOPES, generateApiKey, hashApiKey };
@@ -0,0 +1,65 @@
+// Audit trail of admin and rider actions, kept in an append-only collection:
+// entries are only ever inserted, nothing in the API updates or deletes them.
+//   { actor: { email, role }, action, target: { collection, id },
+//     changes: { field: { from, to } }, ip, user_agent, at }
+
+const { AsyncLocalStorage } = require("node:async_hooks");
+
+const requestContext = new AsyncLocalStorage();
+
+// never copied into the trail: secrets and fields with their own history
+const HIDDEN_FIELDS = [
+  "_id",
+  "delivery_otp",
+  "status_history",
+  "fcm_tokens",
+  "key_hash",
+  "secret",
+];
+
+// express middleware remembering where the request came from, so entries
+// written deep inside shared helpers still carry the caller's IP
+const auditContext = (req, res, next) =>
+  requestContext.run(
+    { ip: req.ip, userAgent: req.get("user-agent") || null },
+    next
+  );
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// { field: { from, to } } for the fields `after` sets (every field of
+// `before` when the document was removed) whose value changed
+const diffDocuments = (before, after) => {
+  const fields = Object.keys(after || before || {});
+  return Object.fromEntries(
+    fields
+      .filter((field) => !HIDDEN_FIELDS.includes(field))
+      .filter((field) => !same(before?.[field], after?.[field]))
+      .map((field) => [field, { from: before?.[field], to: after?.[field] }])
+  );
+};
+
+// returns audit(entry); a failed write is logged and never fails the action
+const createAuditLog =
+  (auditLogsCollection) =>
+  async ({ actor, action, target, before = null, after = null }) => {
+    const context = requestContext.getStore() || {};
+    try {
+      await auditLogsCollection.insertOne({
+        actor: {
+          email: actor?.email || "system",
+          role: actor?.role || "system",
+        },
+        action,
+        target: { collection: target.collection, id: target.id ?? null },
+        changes: diffDocuments(before, after),
+        ip: context.ip || null,
+        user_agent: context.userAgent || null,
+        at: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.error(`Error writing audit log for ${action}:`, error);
+    }
+  };
+
+module.exports = { auditContext, createAuditLog, diffDocuments };
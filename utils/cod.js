@@ -0,0 +1,74 @@
+// Cash on delivery. The receiver pays the parcel's COD amount to the rider,
+// the rider deposits the cash against a settlement and the merchant is then
+// remitted what was collected minus the delivery charge and our COD fee.
+// A parcel's `cod.status` moves pending -> collected -> deposited -> remitted.
+// A returned parcel collects nothing: it goes from pending to remitted with
+// its delivery charge taken out of the merchant's remittance.
+
+const DEFAULT_COD_POLICY = {
+  name: "cod_policy",
+  // share of the collected cash kept as the COD handling fee
+  fee_rate: 0.01,
+  // smallest fee charged on a parcel that collected anything
+  min_fee: 10,
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// returns a list of problems with a policy (empty when valid)
+const validateCodPolicy = (policy) => {
+  const errors = [];
+  if (!policy || typeof policy !== "object") return ["policy is required"];
+
+  if (
+    typeof policy.fee_rate !== "number" ||
+    !(policy.fee_rate >= 0 && policy.fee_rate <= 0.2)
+  ) {
+    errors.push("fee_rate must be a number between 0 and 0.2");
+  }
+  if (typeof policy.min_fee !== "number" || !(policy.min_fee >= 0)) {
+    errors.push("min_fee must be a non-negative number");
+  }
+  return errors;
+};
+
+// COD handling fee (BDT) on `collected` taka
+const calculateCodFee = (collected, policy = DEFAULT_COD_POLICY) =>
+  collected > 0
+    ? round(Math.max(collected * policy.fee_rate, policy.min_fee))
+    : 0;
+
+// what the merchant is owed for one collected or returned parcel. `payable`
+// is negative when the charges are more than the cash collected: the line
+// is a deduction from the other lines of the remittance
+const remittanceLine = (parcel, policy = DEFAULT_COD_POLICY) => {
+  const collected = parcel.cod?.collected_amount || 0;
+  const deliveryCharge = parcel.cost || 0;
+  const codFee = calculateCodFee(collected, policy);
+  return {
+    parcel_id: parcel._id,
+    trackingId: parcel.trackingId,
+    collected,
+    delivery_charge: deliveryCharge,
+    cod_fee: codFee,
+    payable: round(collected - deliveryCharge - codFee),
+  };
+};
+
+// totals of a merchant remittance from its lines; a negative `amount` is
+// owed by the merchant and is never remitted
+const remittanceTotals = (lines) => ({
+  collected: round(lines.reduce((sum, line) => sum + line.collected, 0)),
+  charges: round(
+    lines.reduce((sum, line) => sum + line.delivery_charge + line.cod_fee, 0)
+  ),
+  amount: round(lines.reduce((sum, line) => sum + line.payable, 0)),
+});
+
+module.exports = {
+  DEFAULT_COD_POLICY,
+  calculateCodFee,
+  remittanceLine,
+  remittanceTotals,
+  validateCodPolicy,
+};
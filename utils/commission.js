@@ -0,0 +1,172 @@
+// Rider commission rules: the highest-priority active rule matching a
+// delivered parcel decides the rider's earning.
+
+const { districtKey } = require("./serviceAreas");
+
+// used when no stored rule matches, same as the original hard-coded rates
+const DEFAULT_RULES = [
+  {
+    _id: "default-same-district",
+    name: "Same district",
+    priority: -1,
+    active: true,
+    match: { delivery_type: "delivery", same_district: true },
+    rate: 0.8,
+    flat_bonus: 0,
+  },
+  {
+    _id: "default-outside-district",
+    name: "Outside district",
+    priority: -2,
+    active: true,
+    match: { delivery_type: "delivery", same_district: false },
+    rate: 0.3,
+    flat_bonus: 0,
+  },
+  {
+    _id: "default-return",
+    name: "Return to sender",
+    priority: -3,
+    active: true,
+    match: { delivery_type: "return" },
+    rate: 0.2,
+    flat_bonus: 0,
+  },
+];
+
+const DELIVERY_TYPES = ["delivery", "return"];
+
+const MATCH_KEYS = [
+  "delivery_type",
+  "district",
+  "region",
+  "parcel_type",
+  "min_weight",
+  "max_weight",
+  "same_district",
+  "starts_at",
+  "ends_at",
+];
+
+const isNonNegativeNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+const isDate = (value) =>
+  typeof value === "string" && !Number.isNaN(Date.parse(value));
+
+// returns a list of problems with a rule (empty when valid)
+const validateRule = (rule) => {
+  const errors = [];
+  if (!rule || typeof rule !== "object") return ["rule is required"];
+
+  if (typeof rule.name !== "string" || !rule.name.trim()) {
+    errors.push("name is required");
+  }
+  if (typeof rule.priority !== "number" || !Number.isFinite(rule.priority)) {
+    errors.push("priority must be a number");
+  }
+  if (!isNonNegativeNumber(rule.rate) || rule.rate > 1) {
+    errors.push("rate must be a number between 0 and 1");
+  }
+  if (rule.flat_bonus !== undefined && !isNonNegativeNumber(rule.flat_bonus)) {
+    errors.push("flat_bonus must be a non-negative number");
+  }
+
+  const match = rule.match || {};
+  if (typeof match !== "object") {
+    errors.push("match must be an object");
+    return errors;
+  }
+  Object.keys(match).forEach((key) => {
+    if (!MATCH_KEYS.includes(key)) errors.push(`match.${key} is not supported`);
+  });
+  ["min_weight", "max_weight"].forEach((key) => {
+    if (match[key] !== undefined && !isNonNegativeNumber(match[key])) {
+      errors.push(`match.${key} must be a non-negative number`);
+    }
+  });
+  ["starts_at", "ends_at"].forEach((key) => {
+    if (match[key] !== undefined && !isDate(match[key])) {
+      errors.push(`match.${key} must be a date`);
+    }
+  });
+  if (
+    match.delivery_type !== undefined &&
+    !DELIVERY_TYPES.includes(match.delivery_type)
+  ) {
+    errors.push(
+      `match.delivery_type must be one of: ${DELIVERY_TYPES.join(", ")}`
+    );
+  }
+  if (
+    match.same_district !== undefined &&
+    typeof match.same_district !== "boolean"
+  ) {
+    errors.push("match.same_district must be true or false");
+  }
+
+  return errors;
+};
+
+// whether a rule applies to a parcel delivered at `at`; rules without a
+// delivery_type only apply to normal deliveries, not returns
+const ruleMatches = (rule, parcel, at, deliveryType = "delivery") => {
+  const match = rule.match || {};
+  const weight = Number(parcel.weight) || 0;
+  const sameDistrict =
+    districtKey(parcel.senderDistrict) === districtKey(parcel.receiverDistrict);
+
+  if ((match.delivery_type || "delivery") !== deliveryType) return false;
+  if (
+    match.district &&
+    districtKey(match.district) !== districtKey(parcel.receiverDistrict)
+  ) {
+    return false;
+  }
+  if (match.region && match.region !== parcel.receiverRegion) return false;
+  if (match.parcel_type && match.parcel_type !== parcel.type) return false;
+  if (match.min_weight !== undefined && weight < match.min_weight) return false;
+  if (match.max_weight !== undefined && weight > match.max_weight) return false;
+  if (
+    match.same_district !== undefined &&
+    match.same_district !== sameDistrict
+  ) {
+    return false;
+  }
+  if (match.starts_at && at < new Date(match.starts_at)) return false;
+  if (match.ends_at && at > new Date(match.ends_at)) return false;
+  return true;
+};
+
+// picks the rule for a parcel and works out the earning from it
+const calculateRiderEarning = (
+  parcel,
+  rules = [],
+  at = new Date(),
+  deliveryType = "delivery"
+) => {
+  const candidates = [
+    ...rules.filter((r) => r.active !== false),
+    ...DEFAULT_RULES,
+  ]
+    .filter((rule) => ruleMatches(rule, parcel, at, deliveryType))
+    .sort((a, b) => b.priority - a.priority);
+
+  const rule = candidates[0];
+  const cost = Number(parcel.cost) || 0;
+  const earning = cost * rule.rate + (rule.flat_bonus || 0);
+
+  return {
+    earning: Math.round(earning * 100) / 100,
+    rule_id: rule._id,
+    rule_name: rule.name,
+  };
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  DELIVERY_TYPES,
+  calculateRiderEarning,
+  ruleMatches,
+  validateRule,
+};
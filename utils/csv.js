@@ -0,0 +1,104 @@
+// Minimal RFC 4180 CSV reading and writing for bulk parcel import/export.
+// Quoted fields may contain commas, quotes ("") and line breaks.
+
+class CsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CsvError";
+  }
+}
+
+// splits CSV text into an array of rows, each an array of raw field strings
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip a byte order mark
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new CsvError("Unterminated quoted field");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// CSV text -> [{ line, record }] keyed by the header row; blank lines are
+// skipped and `line` is the 1-based line number for error reports
+const parseCsv = (text) => {
+  const rows = parseRows(String(text || ""));
+  if (!rows.length) throw new CsvError("CSV is empty");
+
+  const header = rows[0].map((name) => name.trim());
+  if (header.some((name) => !name)) {
+    throw new CsvError("CSV header has an empty column name");
+  }
+
+  return rows
+    .map((fields, index) => ({ fields, line: index + 1 }))
+    .slice(1)
+    .filter(({ fields }) => fields.some((value) => value.trim() !== ""))
+    .map(({ fields, line }) => ({
+      line,
+      record: Object.fromEntries(
+        header.map((name, column) => [name, fields[column] ?? ""])
+      ),
+    }));
+};
+
+// CSV cells are text; turn the ones a schema declares as numbers into numbers
+// so the regular body validator can check them
+const coerceRecord = (record, schema) =>
+  Object.fromEntries(
+    Object.entries(record).map(([name, value]) => {
+      const type = schema[name]?.type;
+      const numeric =
+        (type === "number" || type === "integer") && value.trim() !== "";
+      return [name, numeric ? Number(value) : value];
+    })
+  );
+
+// keep spreadsheet apps from running exported cells as formulas; any cell
+// starting with a formula character is quoted, negative numbers included
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// [{ ... }] -> CSV text with a header row of `columns`
+const toCsv = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(escapeCell).join(","))
+    .join("\r\n") + "\r\n";
+
+module.exports = { CsvError, coerceRecord, parseCsv, toCsv };
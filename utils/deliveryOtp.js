@@ -0,0 +1,146 @@
+// One-time codes the receiver hands to the rider as proof of delivery. The
+// parcel stores an HMAC of the code for checking it and an encrypted copy so
+// the sender can pass it on to the receiver.
+
+const crypto = require("crypto");
+
+const OTP_TTL_HOURS = 48;
+const MAX_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+// a guessable default would let anyone forge or read delivery codes, so the
+// server refuses to start without OTP_SECRET (see assertOtpSecret)
+const assertOtpSecret = () => {
+  if (!process.env.OTP_SECRET) {
+    throw new Error("OTP_SECRET must be set to issue delivery codes");
+  }
+};
+
+const secret = () => {
+  assertOtpSecret();
+  return process.env.OTP_SECRET;
+};
+
+const hashOtp = (parcelId, code) =>
+  crypto
+    .createHmac("sha256", secret())
+    .update(`${parcelId}:${code}`)
+    .digest("hex");
+
+const encryptionKey = () =>
+  crypto.createHash("sha256").update(secret()).digest();
+
+const sealCode = (code) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(code, "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+// the plain code behind an otp state, for showing it to the sender
+const openOtp = (otpState) => {
+  const [iv, tag, encrypted] = otpState.sealed
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+// a fresh 6-digit code and the state stored on the parcel for it
+const createOtp = (parcelId, now = new Date()) => {
+  const code = String(crypto.randomInt(0, 1e6)).padStart(6, "0");
+  return {
+    code,
+    state: {
+      hash: hashOtp(parcelId, code),
+      sealed: sealCode(code),
+      issued_at: now.toISOString(),
+      expires_at: new Date(
+        now.getTime() + OTP_TTL_HOURS * 3600e3
+      ).toISOString(),
+      attempts: 0,
+      locked_until: null,
+    },
+  };
+};
+
+// why no code can be tried right now ({ message, locked }), or null
+const otpUnavailable = (otpState, now = new Date()) => {
+  if (!otpState?.hash) {
+    return { message: "No delivery code issued for this parcel" };
+  }
+  if (otpState.locked_until && now < new Date(otpState.locked_until)) {
+    return {
+      locked: true,
+      message: "Too many wrong codes, try again later",
+    };
+  }
+  if (now > new Date(otpState.expires_at)) {
+    return {
+      message: "Delivery code expired, ask the sender to resend it",
+    };
+  }
+  return null;
+};
+
+// parcels whose current code may be tried once more. Callers $inc
+// delivery_otp.attempts through this filter *before* comparing the code, so
+// every guess, concurrent ones included, uses up an attempt
+const attemptFilter = (otpState, now = new Date()) => ({
+  "delivery_otp.hash": otpState.hash,
+  "delivery_otp.attempts": { $lt: MAX_ATTEMPTS },
+  $or: [
+    { "delivery_otp.locked_until": null },
+    { "delivery_otp.locked_until": { $lte: now.toISOString() } },
+  ],
+});
+
+// $set fields locking the code once the attempts are used up
+const lockFields = (now = new Date()) => ({
+  "delivery_otp.attempts": 0,
+  "delivery_otp.locked_until": new Date(
+    now.getTime() + LOCK_MINUTES * 60e3
+  ).toISOString(),
+});
+
+// checks a submitted code against the otp state read back after its attempt
+// was counted; returns { ok } or { ok: false, locked, message }, where
+// locked means that was the last attempt and the caller stores lockFields()
+const checkOtp = (parcelId, otpState, code, now = new Date()) => {
+  const unavailable = otpUnavailable(otpState, now);
+  if (unavailable) return { ok: false, ...unavailable };
+
+  const expected = Buffer.from(otpState.hash, "hex");
+  const actual = Buffer.from(hashOtp(parcelId, String(code || "")), "hex");
+  if (crypto.timingSafeEqual(expected, actual)) return { ok: true };
+
+  const locked = (otpState.attempts || 0) >= MAX_ATTEMPTS;
+  return {
+    ok: false,
+    locked,
+    message: locked
+      ? `Too many wrong codes, locked for ${LOCK_MINUTES} minutes`
+      : "Wrong delivery code",
+  };
+};
+
+module.exports = {
+  LOCK_MINUTES,
+  MAX_ATTEMPTS,
+  OTP_TTL_HOURS,
+  assertOtpSecret,
+  attemptFilter,
+  checkOtp,
+  createOtp,
+  lockFields,
+  openOtp,
+  otpUnavailable,
+};
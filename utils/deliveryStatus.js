@@ -0,0 +1,135 @@
+// Delivery status state machine. Every route that changes a parcel's
+// delivery_status goes through assertTransition so illegal moves are refused
+// in one place.
+
+class StatusTransitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StatusTransitionError";
+  }
+}
+
+const DELIVERY_STATUSES = [
+  "not_collected",
+  "assigned",
+  "picked",
+  "on_the_way",
+  "at_origin_hub",
+  "hub_transit",
+  "at_destination_hub",
+  "delivered",
+  "failed_attempt",
+  "returning",
+  "returned",
+  "cancelled",
+];
+
+// used until an admin saves a delivery policy into `settings`
+const DEFAULT_DELIVERY_POLICY = {
+  name: "delivery_policy",
+  // failed attempts before a parcel goes back to the sender
+  max_failed_attempts: 3,
+};
+
+// status -> statuses it may move to
+const TRANSITIONS = {
+  not_collected: ["assigned", "cancelled"],
+  assigned: [
+    "not_collected",
+    "picked",
+    "on_the_way",
+    "cancelled",
+    "at_destination_hub",
+  ],
+  picked: ["on_the_way", "failed_attempt", "at_origin_hub"],
+  on_the_way: ["delivered", "failed_attempt"],
+  // inter-district parcels: origin hub -> destination hub -> delivery rider
+  at_origin_hub: ["hub_transit"],
+  hub_transit: ["at_destination_hub"],
+  at_destination_hub: ["assigned"],
+  // retried, or sent back to the sender once attempts run out
+  failed_attempt: ["on_the_way", "returning"],
+  returning: ["returned"],
+  delivered: [],
+  returned: [],
+  cancelled: [],
+};
+
+// parcels created before the status field existed count as not collected
+const currentStatus = (parcel) => parcel?.delivery_status || "not_collected";
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const HUB_STATUSES = ["at_origin_hub", "hub_transit", "at_destination_hub"];
+
+// where a parcel goes when its rider is taken off it: back to the
+// assignment queue, or back to the destination hub on the last leg
+const unassignedStatus = (parcel) =>
+  parcel.route?.current_leg === "delivery"
+    ? "at_destination_hub"
+    : "not_collected";
+
+// inter-district parcels (those with a route) travel pickup rider -> origin
+// hub -> destination hub -> delivery rider; the legs may not be skipped
+const assertLeg = (parcel, from, to) => {
+  const leg = parcel.route?.current_leg;
+
+  if (HUB_STATUSES.includes(to) && !parcel.route) {
+    throw new StatusTransitionError(
+      "Only inter-district parcels pass through hubs"
+    );
+  }
+  if (leg === "pickup" && to === "on_the_way") {
+    throw new StatusTransitionError(
+      "Inter-district parcels go to the origin hub first"
+    );
+  }
+  if (leg === "delivery" && ["not_collected", "cancelled"].includes(to)) {
+    throw new StatusTransitionError("Parcel is already at the destination hub");
+  }
+  if (
+    from === "assigned" &&
+    to === "at_destination_hub" &&
+    leg !== "delivery"
+  ) {
+    throw new StatusTransitionError("Parcel has not reached its hub yet");
+  }
+};
+
+// throws StatusTransitionError when the parcel may not move to `to`
+const assertTransition = (parcel, to) => {
+  const from = currentStatus(parcel);
+
+  if (!DELIVERY_STATUSES.includes(to)) {
+    throw new StatusTransitionError(`Unknown delivery status: ${to}`);
+  }
+  if (!canTransition(from, to)) {
+    throw new StatusTransitionError(`Cannot move parcel from ${from} to ${to}`);
+  }
+  // cash on delivery parcels are paid when they are delivered
+  if (to === "assigned" && !["paid", "cod"].includes(parcel.payment_status)) {
+    throw new StatusTransitionError(
+      "Parcel must be paid before it is assigned"
+    );
+  }
+  assertLeg(parcel, from, to);
+
+  return from;
+};
+
+// mongo filter matching a parcel that is still in `status`
+const statusFilter = (status) =>
+  status === "not_collected" ? { $in: [null, "not_collected"] } : status;
+
+module.exports = {
+  DEFAULT_DELIVERY_POLICY,
+  DELIVERY_STATUSES,
+  HUB_STATUSES,
+  TRANSITIONS,
+  StatusTransitionError,
+  assertTransition,
+  canTransition,
+  currentStatus,
+  statusFilter,
+  unassignedStatus,
+};
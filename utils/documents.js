@@ -0,0 +1,186 @@
+// Printable PDFs: shipping labels (A6, one parcel per page) and payment
+// invoices (A4, one payment per page). Renderers resolve to a Buffer.
+
+const PDFDocument = require("pdfkit");
+const bwipjs = require("bwip-js");
+
+const LABEL_SIZE = [298, 420]; // A6 in points
+const BRAND = "Zap Shift";
+
+// cost_breakdown items printed on invoices
+const CHARGES = {
+  base: "Delivery charge",
+  extra_weight: "Extra weight",
+  surcharge: "Outside district surcharge",
+};
+
+// collects a pdfkit document into a Buffer once `draw` has filled it
+const renderPdf = (options, draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ autoFirstPage: false, ...options });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    Promise.resolve(draw(doc))
+      .then(() => doc.end())
+      .catch(reject);
+  });
+
+const barcode = (text) =>
+  bwipjs.toBuffer({ bcid: "code128", text, scale: 2, height: 12 });
+
+const qrCode = (text) => bwipjs.toBuffer({ bcid: "qrcode", text, scale: 3 });
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().replace("T", " ").slice(0, 16) : "-";
+
+const formatTaka = (amount) => `BDT ${Number(amount || 0).toFixed(2)}`;
+
+// one block of a label: heading then the address lines that are present
+const addressBlock = (doc, heading, lines) => {
+  doc.font("Helvetica-Bold").fontSize(8).text(heading);
+  doc.font("Helvetica").fontSize(10);
+  lines.filter(Boolean).forEach((line) => doc.text(line));
+  doc.moveDown(0.5);
+};
+
+const drawLabel = async (doc, parcel, trackingUrl) => {
+  const [barcodeImage, qrImage] = await Promise.all([
+    barcode(parcel.trackingId),
+    qrCode(trackingUrl),
+  ]);
+
+  doc.addPage({ size: LABEL_SIZE, margin: 16 });
+  const width = LABEL_SIZE[0] - 32;
+
+  doc.font("Helvetica-Bold").fontSize(14).text(BRAND);
+  doc
+    .font("Helvetica")
+    .fontSize(8)
+    .text(`Booked ${formatDate(parcel.createdAt)}`);
+  doc.moveDown(0.5);
+
+  doc.image(barcodeImage, { fit: [width, 48], align: "center" });
+  doc.moveDown(0.2);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(12)
+    .text(parcel.trackingId, { width, align: "center" });
+  doc.moveDown(0.8);
+
+  addressBlock(doc, "FROM", [
+    parcel.senderName,
+    parcel.senderPhone,
+    parcel.senderAddress,
+    [parcel.senderDistrict, parcel.senderRegion].filter(Boolean).join(", "),
+  ]);
+  addressBlock(doc, "TO", [
+    parcel.receiverName,
+    parcel.receiverPhone,
+    parcel.receiverAddress,
+    [parcel.receiverDistrict, parcel.receiverRegion].filter(Boolean).join(", "),
+  ]);
+
+  const top = doc.y;
+  doc.font("Helvetica").fontSize(9);
+  doc.text(`Type: ${parcel.type || "-"}`, 16, top);
+  doc.text(`Weight: ${parcel.weight ? `${parcel.weight} kg` : "-"}`);
+  doc.text(`Charge: ${formatTaka(parcel.cost)}`);
+  doc
+    .font("Helvetica-Bold")
+    .text(
+      parcel.payment_method === "cod"
+        ? `COLLECT ${formatTaka(parcel.cod?.amount)}`
+        : parcel.payment_status === "paid"
+        ? "PAID"
+        : "PAYMENT DUE"
+    );
+  if (parcel.deliveryInstruction) {
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .text(parcel.deliveryInstruction, { width: width - 90 });
+  }
+
+  doc.image(qrImage, LABEL_SIZE[0] - 16 - 80, top, { fit: [80, 80] });
+};
+
+// why a parcel can't be put on a label, or null when it can
+const labelProblem = (parcel) => {
+  if (typeof parcel.trackingId !== "string" || !parcel.trackingId) {
+    return "has no tracking ID yet";
+  }
+  if (parcel.createdAt && Number.isNaN(new Date(parcel.createdAt).getTime())) {
+    return "has an invalid booking date";
+  }
+  return null;
+};
+
+// PDF with a label per parcel; trackingUrl(parcel) is what the QR code opens
+const renderLabels = (parcels, trackingUrl) =>
+  renderPdf({ info: { Title: "Shipping labels" } }, async (doc) => {
+    for (const parcel of parcels) {
+      await drawLabel(doc, parcel, trackingUrl(parcel));
+    }
+  });
+
+const invoiceRow = (doc, label, value) => {
+  const y = doc.y;
+  doc.font("Helvetica-Bold").fontSize(10).text(label, 50, y, { width: 150 });
+  doc.font("Helvetica").text(value ?? "-", 200, y, { width: 345 });
+  doc.moveDown(0.4);
+};
+
+const drawInvoice = (doc, payment, parcel) => {
+  doc.addPage({ size: "A4", margin: 50 });
+
+  doc.font("Helvetica-Bold").fontSize(20).text(BRAND);
+  doc.font("Helvetica").fontSize(12).text("Payment receipt");
+  doc.moveDown(1.5);
+
+  invoiceRow(doc, "Invoice no.", `INV-${payment._id}`);
+  invoiceRow(doc, "Billed to", payment.email);
+  invoiceRow(
+    doc,
+    "Paid at",
+    formatDate(payment.payment_time || payment.paid_at)
+  );
+  invoiceRow(doc, "Transaction ID", payment.transactionId);
+  invoiceRow(
+    doc,
+    "Payment method",
+    [].concat(payment.paymentMethod || []).join(", ") || "-"
+  );
+  invoiceRow(doc, "Status", payment.status);
+  doc.moveDown();
+
+  if (parcel) {
+    invoiceRow(doc, "Tracking ID", parcel.trackingId);
+    invoiceRow(doc, "Parcel", parcel.parcelName || parcel.type);
+    invoiceRow(
+      doc,
+      "Route",
+      `${parcel.senderDistrict || "-"} to ${parcel.receiverDistrict || "-"}`
+    );
+    const breakdown = parcel.cost_breakdown || {};
+    Object.entries(CHARGES).forEach(([item, label]) => {
+      if (breakdown[item]) invoiceRow(doc, label, formatTaka(breakdown[item]));
+    });
+    doc.moveDown();
+  }
+
+  invoiceRow(doc, "Amount paid", formatTaka(payment.amount));
+  if (payment.refunded_amount) {
+    invoiceRow(doc, "Refunded", formatTaka(payment.refunded_amount));
+  }
+};
+
+// PDF with an invoice per [{ payment, parcel }]
+const renderInvoices = (entries) =>
+  renderPdf({ info: { Title: "Invoices" } }, (doc) => {
+    entries.forEach(({ payment, parcel }) => drawInvoice(doc, payment, parcel));
+  });
+
+module.exports = { labelProblem, renderInvoices, renderLabels };
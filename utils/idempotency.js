@@ -0,0 +1,140 @@
+// Idempotency-Key support for mutating requests. The first request with a
+// key runs as usual and its response is stored; a retry with the same key
+// from the same caller within the window gets that response replayed instead
+// of running again. Records expire through a TTL index on expires_at:
+//   { _id: <hash of caller and key>, fingerprint, status: "processing" |
+//     "completed", response: { status, type, body }, locked_at, expires_at }
+
+const crypto = require("crypto");
+
+const IDEMPOTENCY_WINDOW_MS = 24 * 60 * 60 * 1000;
+// a request "processing" this long died with its server and may be retried
+const LOCK_TIMEOUT_MS = 60 * 1000;
+const MUTATING_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+// printable ASCII, e.g. a UUID
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const hash = (value) =>
+  crypto.createHash("sha256").update(JSON.stringify(value)).digest("hex");
+
+// returns express middleware; it expects req.user to be set, so it runs
+// right after authentication
+const createIdempotency = ({
+  idempotencyCollection,
+  windowMs = IDEMPOTENCY_WINDOW_MS,
+}) => {
+  const reject = (res, status, message) =>
+    res.status(status).send({ success: false, message });
+
+  const replay = (res, { status, type, body }) => {
+    res.set("Idempotent-Replayed", "true");
+    if (type) res.set("Content-Type", type);
+    res.status(status).send(body);
+  };
+
+  // store the response once it has gone out; server errors free the key
+  // again so the request can be retried with it
+  const recordResponse = (_id, res) => {
+    let body;
+    const send = res.send;
+    res.send = function (chunk) {
+      body = chunk ?? "";
+      return send.call(this, chunk);
+    };
+
+    res.on("close", () => {
+      const completed =
+        res.writableFinished && res.statusCode < 500 && body !== undefined;
+      const write = completed
+        ? idempotencyCollection.updateOne(
+            { _id },
+            {
+              $set: {
+                status: "completed",
+                response: {
+                  status: res.statusCode,
+                  type: res.get("Content-Type") || null,
+                  body: Buffer.isBuffer(body)
+                    ? body.toString("utf8")
+                    : String(body),
+                },
+              },
+              $unset: { locked_at: "" },
+            }
+          )
+        : idempotencyCollection.deleteOne({ _id, status: "processing" });
+      write.catch((error) =>
+        console.error("Error storing idempotent response:", error)
+      );
+    });
+  };
+
+  return async (req, res, next) => {
+    const key = req.get("idempotency-key");
+    if (key === undefined || !MUTATING_METHODS.includes(req.method)) {
+      return next();
+    }
+    if (!KEY_PATTERN.test(key)) {
+      return reject(res, 400, "Idempotency-Key must be 1-255 ASCII characters");
+    }
+
+    const _id = hash([req.user.email, key]);
+    const fingerprint = hash([req.method, req.originalUrl, req.body ?? null]);
+    const now = new Date();
+
+    try {
+      try {
+        await idempotencyCollection.insertOne({
+          _id,
+          fingerprint,
+          status: "processing",
+          locked_at: now,
+          created_at: now,
+          expires_at: new Date(now.getTime() + windowMs),
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const existing = await idempotencyCollection.findOne({ _id });
+        if (!existing) {
+          return reject(res, 409, "Idempotency-Key expired, please retry");
+        }
+        if (existing.fingerprint !== fingerprint) {
+          return reject(
+            res,
+            422,
+            "This Idempotency-Key was already used for a different request"
+          );
+        }
+        if (existing.status === "completed") {
+          return replay(res, existing.response);
+        }
+
+        // still running, unless the server handling it went away
+        const takenOver = await idempotencyCollection.findOneAndUpdate(
+          {
+            _id,
+            status: "processing",
+            locked_at: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+          },
+          { $set: { locked_at: now } }
+        );
+        if (!takenOver) {
+          return reject(
+            res,
+            409,
+            "A request with this Idempotency-Key is still in progress"
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Error checking idempotency key:", error);
+      return reject(res, 500, "Server error");
+    }
+
+    recordResponse(_id, res);
+    next();
+  };
+};
+
+module.exports = { IDEMPOTENCY_WINDOW_MS, createIdempotency };
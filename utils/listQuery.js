@@ -0,0 +1,185 @@
+// Shared list handling: cursor pagination, whitelisted sorting, date-range
+// filters and search, answered in one envelope:
+//   { success, data, nextCursor, total }
+
+const { ObjectId } = require("mongodb");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ListQueryError";
+  }
+}
+
+// user input is matched literally, never as a pattern
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Date values are tagged so the next page compares against a Date again
+// rather than its JSON string
+const encodeCursor = (doc, sortField) => {
+  const value = doc[sortField] ?? null;
+  return Buffer.from(
+    JSON.stringify({
+      v: value,
+      id: String(doc._id),
+      ...(value instanceof Date && { t: "date" }),
+    })
+  ).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, id, t } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString()
+    );
+    if (!ObjectId.isValid(id)) throw new Error("bad id");
+    const value = t === "date" ? new Date(v) : v;
+    if (value instanceof Date && Number.isNaN(value.getTime())) {
+      throw new Error("bad date");
+    }
+    return { value, id: new ObjectId(id) };
+  } catch (error) {
+    throw new ListQueryError("Invalid cursor");
+  }
+};
+
+// documents after the cursor in sort order. Comparison operators never
+// match null or a missing field, which MongoDB sorts before every value;
+// so in descending order they come after the cursor's value, and in
+// ascending order every value comes after a null cursor
+const pastCursor = (sortField, order, { value, id }) => {
+  const past = order === 1 ? "$gt" : "$lt";
+  if (sortField === "_id") return { _id: { [past]: id } };
+
+  const missing = { [sortField]: null };
+  if (value === null) {
+    return {
+      $or: [
+        { ...missing, _id: { [past]: id } },
+        ...(order === 1 ? [{ [sortField]: { $ne: null } }] : []),
+      ],
+    };
+  }
+  return {
+    $or: [
+      { [sortField]: { [past]: value } },
+      { [sortField]: value, _id: { [past]: id } },
+      ...(order === 1 ? [] : [missing]),
+    ],
+  };
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ListQueryError(`${name} must be a date`);
+  }
+  return date.toISOString();
+};
+
+// { field: { $gte, $lte } } from the from/to query params, or null
+const buildDateRange = (query, field) => {
+  if (!query.from && !query.to) return null;
+  const range = {};
+  if (query.from) range.$gte = parseDate(query.from, "from");
+  if (query.to) range.$lte = parseDate(query.to, "to");
+  return { [field]: range };
+};
+
+const and = (filter, conditions) =>
+  conditions.length ? { ...filter, $and: conditions } : filter;
+
+/*
+ * Turns request query params (limit, cursor, sort, order, from, to, q) into a
+ * mongo query. Options:
+ *   sortFields   whitelisted sort fields, the first is the default
+ *   order        default order, -1 (newest first) unless given
+ *   dateField    field that from/to filter on (ISO strings or dates)
+ *   textSearch   true to search through the collection's text index
+ *   searchFields fields searched with a case-insensitive literal match
+ *   filter       fixed filter for the route
+ */
+const buildListQuery = (query, options) => {
+  const {
+    sortFields,
+    order: defaultOrder = -1,
+    dateField,
+    textSearch = false,
+    searchFields = [],
+    filter: baseFilter = {},
+  } = options;
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1),
+    MAX_LIMIT
+  );
+
+  const sortField = query.sort || sortFields[0];
+  if (!sortFields.includes(sortField)) {
+    throw new ListQueryError(`sort must be one of: ${sortFields.join(", ")}`);
+  }
+  const order =
+    query.order === "asc" ? 1 : query.order === "desc" ? -1 : defaultOrder;
+
+  const filter = { ...baseFilter };
+  const conditions = [];
+
+  const dateRange = dateField && buildDateRange(query, dateField);
+  if (dateRange) conditions.push(dateRange);
+
+  const search = typeof query.q === "string" ? query.q.trim() : "";
+  if (search && textSearch) {
+    filter.$text = { $search: search };
+  } else if (search && searchFields.length) {
+    const pattern = { $regex: escapeRegex(search), $options: "i" };
+    conditions.push({ $or: searchFields.map((f) => ({ [f]: pattern })) });
+  }
+
+  const countFilter = and(filter, [...conditions]);
+
+  if (query.cursor) {
+    conditions.push(pastCursor(sortField, order, decodeCursor(query.cursor)));
+  }
+
+  return {
+    filter: and(filter, conditions),
+    countFilter,
+    sort:
+      sortField === "_id" ? { _id: order } : { [sortField]: order, _id: order },
+    sortField,
+    limit,
+  };
+};
+
+// runs a built list query and shapes the response envelope
+const runListQuery = async (collection, listQuery, { projection } = {}) => {
+  const { filter, countFilter, sort, sortField, limit } = listQuery;
+
+  const [docs, total] = await Promise.all([
+    collection
+      .find(filter, { projection })
+      .sort(sort)
+      .limit(limit + 1)
+      .toArray(),
+    collection.countDocuments(countFilter),
+  ]);
+
+  const data = docs.slice(0, limit);
+  const nextCursor =
+    docs.length > limit ? encodeCursor(data[data.length - 1], sortField) : null;
+
+  return { success: true, data, nextCursor, total };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  ListQueryError,
+  MAX_LIMIT,
+  buildDateRange,
+  buildListQuery,
+  escapeRegex,
+  runListQuery,
+};
@@ -0,0 +1,84 @@
+// Message templates for parcel lifecycle notifications. Each event lists who
+// is told about it and renders a short subject/body per recipient.
+//
+// The receiver's delivery code never goes into the outbox: bodies carry the
+// DELIVERY_CODE placeholder, filled in by the worker as the message is sent.
+
+const DELIVERY_CODE = "{{delivery_code}}";
+
+// `body` with the placeholder replaced by the parcel's current code
+const fillDeliveryCode = (body, code) => body.split(DELIVERY_CODE).join(code);
+
+const label = (parcel) =>
+  parcel.parcelName || parcel.trackingId || "your parcel";
+
+const TEMPLATES = {
+  parcel_paid: {
+    sender: (parcel) => ({
+      subject: `Payment received for ${label(parcel)}`,
+      body: `We received ${parcel.cost} BDT for parcel ${parcel.trackingId}. We will assign a rider shortly.`,
+    }),
+  },
+  rider_assigned: {
+    sender: (parcel) => ({
+      subject: `Rider assigned to ${label(parcel)}`,
+      body: `${parcel.assigned_rider_name} (${parcel.assigned_rider_phone}) will pick up parcel ${parcel.trackingId}.`,
+    }),
+    rider: (parcel) => ({
+      subject: "New parcel assigned",
+      body: `Pick up parcel ${parcel.trackingId} from ${
+        parcel.senderName || "the sender"
+      }, ${parcel.senderAddress || parcel.senderDistrict}.`,
+    }),
+  },
+  picked_up: {
+    sender: (parcel) => ({
+      subject: `${label(parcel)} picked up`,
+      body: `Parcel ${parcel.trackingId} has been picked up and is on its way.`,
+    }),
+  },
+  out_for_delivery: {
+    sender: (parcel) => ({
+      subject: `${label(parcel)} is out for delivery`,
+      body: `Parcel ${parcel.trackingId} is out for delivery to ${parcel.receiverName}.`,
+    }),
+    receiver: (parcel) => ({
+      subject: "Your parcel is on the way",
+      body: `Parcel ${parcel.trackingId} from ${
+        parcel.senderName || "Zap Shift"
+      } is out for delivery.${
+        parcel.payment_method === "cod"
+          ? ` Please keep ${parcel.cod?.amount} BDT ready for the rider.`
+          : ""
+      } Give the rider this code on delivery: ${DELIVERY_CODE}`,
+    }),
+  },
+  delivered: {
+    sender: (parcel) => ({
+      subject: `${label(parcel)} delivered`,
+      body: `Parcel ${parcel.trackingId} was delivered to ${parcel.receiverName}.`,
+    }),
+  },
+};
+
+// delivery status -> event the parcel's people are told about
+const STATUS_NOTIFICATIONS = {
+  picked: "picked_up",
+  on_the_way: "out_for_delivery",
+  delivered: "delivered",
+};
+
+// [{ recipient, subject, body }] for an event
+const renderNotifications = (event, parcel, extra = {}) =>
+  Object.entries(TEMPLATES[event] || {}).map(([recipient, render]) => ({
+    recipient,
+    ...render(parcel, extra),
+  }));
+
+module.exports = {
+  DELIVERY_CODE,
+  STATUS_NOTIFICATIONS,
+  TEMPLATES,
+  fillDeliveryCode,
+  renderNotifications,
+};
@@ -0,0 +1,123 @@
+// Sends queued outbox messages through their channel's transport, retrying
+// failures with exponential backoff until MAX_ATTEMPTS is reached. Messages
+// for a channel with no transport are marked "unconfigured" and left alone.
+
+const MAX_ATTEMPTS = 5;
+const BASE_DELAY_MS = 30 * 1000;
+// a message stuck in "sending" this long belongs to a crashed worker
+const STALE_MS = 5 * 60 * 1000;
+
+const retryDelay = (attempts) => BASE_DELAY_MS * 2 ** (attempts - 1);
+
+// `prepare(message)` resolves to the message actually handed to the
+// transport, for filling in what must not be stored in the outbox; it may
+// set redacted_body to what local transports should log instead of body
+const createOutboxWorker = ({
+  outboxCollection,
+  transports,
+  prepare = async (message) => message,
+  intervalMs = 10 * 1000,
+  batchSize = 20,
+}) => {
+  let timer = null;
+  let running = false;
+
+  // claim the next due message so parallel workers never send it twice
+  const claimNext = () => {
+    const now = new Date();
+    return outboxCollection.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", next_attempt_at: { $lte: now } },
+          { status: "sending", locked_at: { $lte: new Date(now - STALE_MS) } },
+        ],
+      },
+      { $set: { status: "sending", locked_at: now } },
+      { sort: { next_attempt_at: 1 }, returnDocument: "after" }
+    );
+  };
+
+  const deliver = async (message) => {
+    const transport = transports[message.channel];
+    if (!transport) {
+      await outboxCollection.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: "unconfigured",
+            last_error: `No ${message.channel} transport is configured`,
+          },
+          $unset: { locked_at: "" },
+        }
+      );
+      return;
+    }
+
+    try {
+      await transport.send(await prepare(message));
+      await outboxCollection.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: "sent",
+            sent_at: new Date(),
+            transport: transport.name,
+          },
+          $unset: { locked_at: "" },
+        }
+      );
+    } catch (error) {
+      const attempts = (message.attempts || 0) + 1;
+      const failed = attempts >= MAX_ATTEMPTS;
+      await outboxCollection.updateOne(
+        { _id: message._id },
+        {
+          $set: {
+            status: failed ? "failed" : "pending",
+            attempts,
+            last_error: error.message,
+            next_attempt_at: new Date(Date.now() + retryDelay(attempts)),
+          },
+          $unset: { locked_at: "" },
+        }
+      );
+    }
+  };
+
+  // send up to batchSize due messages; returns how many were handled
+  const processBatch = async () => {
+    if (running) return 0;
+    running = true;
+    let handled = 0;
+    try {
+      while (handled < batchSize) {
+        const message = await claimNext();
+        if (!message) break;
+        await deliver(message);
+        handled++;
+      }
+    } finally {
+      running = false;
+    }
+    return handled;
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      processBatch().catch((error) =>
+        console.error("Outbox worker error:", error)
+      );
+    }, intervalMs);
+    timer.unref?.();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { processBatch, start, stop };
+};
+
+module.exports = { MAX_ATTEMPTS, createOutboxWorker, retryDelay };
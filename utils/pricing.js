@@ -0,0 +1,166 @@
+// Parcel pricing: works out the delivery cost from the parcel type, its weight
+// and whether it stays inside the sender's district.
+
+const { districtKey } = require("./serviceAreas");
+
+// `field` names the input the problem is with, as validation errors do
+class PricingError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = "PricingError";
+    this.field = field;
+  }
+}
+
+// used until an admin saves rates into the `tariffs` collection
+const DEFAULT_TARIFF = {
+  name: "default",
+  document: {
+    within_district: 60,
+    outside_district: 80,
+  },
+  non_document: {
+    // first band whose max_weight covers the parcel wins
+    weight_bands: [
+      { max_weight: 3, within_district: 110, outside_district: 150 },
+    ],
+    // charged for every started kg above the last band
+    extra_per_kg: { within_district: 40, outside_district: 40 },
+    // flat surcharge for heavy parcels leaving the district
+    outside_district_surcharge: 40,
+  },
+};
+
+const PARCEL_TYPES = ["document", "non-document"];
+
+const normalizeType = (type) =>
+  typeof type === "string" ? type.trim().toLowerCase().replace("_", "-") : type;
+
+const isNonNegativeNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+// returns a list of problems with a tariff document (empty when valid)
+const validateTariff = (tariff) => {
+  const errors = [];
+  const checkRates = (rates, path) => {
+    if (!rates || typeof rates !== "object") {
+      errors.push(`${path} is required`);
+      return;
+    }
+    ["within_district", "outside_district"].forEach((key) => {
+      if (!isNonNegativeNumber(rates[key])) {
+        errors.push(`${path}.${key} must be a non-negative number`);
+      }
+    });
+  };
+
+  if (!tariff || typeof tariff !== "object") return ["tariff is required"];
+
+  checkRates(tariff.document, "document");
+
+  const nonDocument = tariff.non_document;
+  if (!nonDocument || typeof nonDocument !== "object") {
+    errors.push("non_document is required");
+    return errors;
+  }
+
+  const bands = nonDocument.weight_bands;
+  if (!Array.isArray(bands) || bands.length === 0) {
+    errors.push("non_document.weight_bands must be a non-empty array");
+  } else {
+    bands.forEach((band, index) => {
+      const path = `non_document.weight_bands[${index}]`;
+      if (!isNonNegativeNumber(band?.max_weight) || band.max_weight === 0) {
+        errors.push(`${path}.max_weight must be a positive number`);
+      } else if (index > 0 && band.max_weight <= bands[index - 1].max_weight) {
+        errors.push(
+          `${path}.max_weight must be greater than the previous band`
+        );
+      }
+      checkRates(band, path);
+    });
+  }
+
+  checkRates(nonDocument.extra_per_kg, "non_document.extra_per_kg");
+
+  if (
+    nonDocument.outside_district_surcharge !== undefined &&
+    !isNonNegativeNumber(nonDocument.outside_district_surcharge)
+  ) {
+    errors.push(
+      "non_document.outside_district_surcharge must be a non-negative number"
+    );
+  }
+
+  return errors;
+};
+
+// works out the cost of a parcel; throws PricingError for unpriceable input
+const calculateParcelCost = (parcel, tariff = DEFAULT_TARIFF) => {
+  const type = normalizeType(parcel?.type);
+  if (!PARCEL_TYPES.includes(type)) {
+    throw new PricingError(
+      `type must be one of: ${PARCEL_TYPES.join(", ")}`,
+      "type"
+    );
+  }
+  if (!parcel.senderDistrict || !parcel.receiverDistrict) {
+    throw new PricingError(
+      "senderDistrict and receiverDistrict are required",
+      parcel.senderDistrict ? "receiverDistrict" : "senderDistrict"
+    );
+  }
+
+  const withinDistrict =
+    districtKey(parcel.senderDistrict) === districtKey(parcel.receiverDistrict);
+  const zone = withinDistrict ? "within_district" : "outside_district";
+
+  if (type === "document") {
+    const cost = tariff.document[zone];
+    return {
+      cost,
+      breakdown: { type, zone, base: cost, extra_weight: 0, surcharge: 0 },
+    };
+  }
+
+  const weight = Number(parcel.weight);
+  if (!Number.isFinite(weight) || weight <= 0) {
+    throw new PricingError(
+      "weight must be a positive number for non-document parcels",
+      "weight"
+    );
+  }
+
+  const {
+    weight_bands,
+    extra_per_kg,
+    outside_district_surcharge = 0,
+  } = tariff.non_document;
+  const band = weight_bands.find((b) => weight <= b.max_weight);
+  const lastBand = weight_bands[weight_bands.length - 1];
+
+  const base = (band || lastBand)[zone];
+  const extraKg = band ? 0 : Math.ceil(weight - lastBand.max_weight);
+  const extraWeight = extraKg * extra_per_kg[zone];
+  const surcharge = !band && !withinDistrict ? outside_district_surcharge : 0;
+
+  return {
+    cost: base + extraWeight + surcharge,
+    breakdown: {
+      type,
+      zone,
+      weight,
+      base,
+      extra_weight: extraWeight,
+      surcharge,
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_TARIFF,
+  PARCEL_TYPES,
+  PricingError,
+  calculateParcelCost,
+  validateTariff,
+};
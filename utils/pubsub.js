@@ -0,0 +1,107 @@
+// In-process publish/subscribe for live parcel updates. Delivery between
+// server instances goes through an adapter; the memory adapter below only
+// reaches subscribers in this process. A multi-instance deployment passes an
+// adapter with the same two methods backed by e.g. Redis or MongoDB change
+// streams:
+//   publish(message)   send { channel, event } to every instance
+//   subscribe(handler) call handler(message) for every message sent
+
+class MemoryAdapter {
+  constructor() {
+    this.handlers = new Set();
+  }
+
+  async publish(message) {
+    this.handlers.forEach((handler) => handler(message));
+  }
+
+  subscribe(handler) {
+    this.handlers.add(handler);
+    return () => this.handlers.delete(handler);
+  }
+}
+
+// event ids are "<ms timestamp>-<sequence>" so any instance can order them
+let sequence = 0;
+const nextEventId = () => `${Date.now()}-${(sequence = (sequence + 1) % 1e6)}`;
+
+const compareIds = (a, b) => {
+  const [aTime, aSeq] = a.split("-").map(Number);
+  const [bTime, bSeq] = b.split("-").map(Number);
+  return aTime - bTime || aSeq - bSeq;
+};
+
+// History is only kept for channels someone listens on, and for
+// `historyTtlMs` after the last subscriber leaves so a reconnecting client
+// still gets what it missed; after that the channel's history is dropped.
+const createPubSub = ({
+  adapter = new MemoryAdapter(),
+  historySize = 50,
+  historyTtlMs = 5 * 60 * 1000,
+} = {}) => {
+  const subscribers = new Map(); // channel -> Set of handlers
+  const history = new Map(); // channel -> recent events, oldest first
+  const expiries = new Map(); // channel -> timer dropping its history
+
+  adapter.subscribe(({ channel, event }) => {
+    const handlers = subscribers.get(channel);
+    if (!handlers && !history.has(channel)) return;
+
+    const recent = history.get(channel) || [];
+    recent.push(event);
+    if (recent.length > historySize) recent.shift();
+    history.set(channel, recent);
+
+    (handlers || []).forEach((handler) => handler(event));
+  });
+
+  const keepHistory = (channel) => {
+    clearTimeout(expiries.get(channel));
+    expiries.delete(channel);
+    if (!history.has(channel)) history.set(channel, []);
+  };
+
+  const expireHistory = (channel) => {
+    const timer = setTimeout(() => {
+      expiries.delete(channel);
+      history.delete(channel);
+    }, historyTtlMs);
+    timer.unref?.();
+    expiries.set(channel, timer);
+  };
+
+  // publish { type, data } on a channel; returns the event
+  const publish = async (channel, type, data) => {
+    const event = { id: nextEventId(), type, data };
+    await adapter.publish({ channel, event });
+    return event;
+  };
+
+  // listen on a channel; events after lastEventId are replayed first.
+  // Returns an unsubscribe function.
+  const subscribe = (channel, handler, lastEventId) => {
+    if (lastEventId && /^\d+-\d+$/.test(lastEventId)) {
+      (history.get(channel) || [])
+        .filter((event) => compareIds(event.id, lastEventId) > 0)
+        .forEach(handler);
+    }
+
+    if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+    subscribers.get(channel).add(handler);
+    keepHistory(channel);
+
+    return () => {
+      const handlers = subscribers.get(channel);
+      if (!handlers?.delete(handler) || handlers.size) return;
+      subscribers.delete(channel);
+      expireHistory(channel);
+    };
+  };
+
+  // channels currently holding history, for tests and diagnostics
+  const historyChannels = () => [...history.keys()];
+
+  return { historyChannels, publish, subscribe };
+};
+
+module.exports = { MemoryAdapter, createPubSub };
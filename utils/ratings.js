@@ -0,0 +1,24 @@
+// Customer ratings of delivered parcels, 1 to 5 stars with an optional
+// comment; one per parcel, given by its sender to the rider who delivered
+// it. A rider's average only counts reviews not hidden by moderation, and
+// riders averaging below LOW_RATING_THRESHOLD are flagged for admins once
+// they have enough ratings for the average to mean something.
+
+const LOW_RATING_THRESHOLD = 3;
+const MIN_RATINGS_FOR_FLAG = 5;
+
+// rider fields for `count` visible ratings adding up to `total` stars
+const riderRatingFields = ({ total = 0, count = 0 } = {}) => {
+  const average = count ? Math.round((total / count) * 100) / 100 : null;
+  return {
+    rating_average: average,
+    rating_count: count,
+    low_rated: count >= MIN_RATINGS_FOR_FLAG && average < LOW_RATING_THRESHOLD,
+  };
+};
+
+module.exports = {
+  LOW_RATING_THRESHOLD,
+  MIN_RATINGS_FOR_FLAG,
+  riderRatingFields,
+};
@@ -0,0 +1,77 @@
+// Refund rules for cancelled parcels. The share of the paid amount that is
+// given back depends on how far the parcel got before it was cancelled.
+
+const DEFAULT_REFUND_POLICY = {
+  name: "refund_policy",
+  // delivery status at cancellation -> share of the payment refunded
+  rates: {
+    not_collected: 1,
+    assigned: 0.8,
+  },
+  // fixed amount kept on every refunded cancellation
+  cancellation_fee: 0,
+  // cancellations made by an admin are always refunded in full
+  admin_full_refund: true,
+};
+
+const isShare = (value) =>
+  typeof value === "number" &&
+  Number.isFinite(value) &&
+  value >= 0 &&
+  value <= 1;
+
+// returns a list of problems with a policy (empty when valid)
+const validateRefundPolicy = (policy) => {
+  const errors = [];
+  if (!policy || typeof policy !== "object") return ["policy is required"];
+
+  if (!policy.rates || typeof policy.rates !== "object") {
+    errors.push("rates is required");
+  } else {
+    Object.entries(policy.rates).forEach(([status, rate]) => {
+      if (!["not_collected", "assigned"].includes(status)) {
+        errors.push(
+          `rates.${status}: parcels can only be cancelled before pickup`
+        );
+      } else if (!isShare(rate)) {
+        errors.push(`rates.${status} must be a number between 0 and 1`);
+      }
+    });
+  }
+  if (
+    typeof policy.cancellation_fee !== "number" ||
+    policy.cancellation_fee < 0
+  ) {
+    errors.push("cancellation_fee must be a non-negative number");
+  }
+  if (typeof policy.admin_full_refund !== "boolean") {
+    errors.push("admin_full_refund must be true or false");
+  }
+  return errors;
+};
+
+// amount (BDT) to refund for a payment of `paidAmount` on a parcel cancelled
+// in `status`; already refunded amounts are never refunded again
+const calculateRefund = (
+  { paidAmount, alreadyRefunded = 0, status, byAdmin = false },
+  policy = DEFAULT_REFUND_POLICY
+) => {
+  const remaining = Math.max(paidAmount - alreadyRefunded, 0);
+  if (byAdmin && policy.admin_full_refund) {
+    return { amount: remaining, full: true };
+  }
+
+  const rate = policy.rates[status] ?? 0;
+  const amount = Math.max(
+    paidAmount * rate - (policy.cancellation_fee || 0),
+    0
+  );
+  const capped = Math.round(Math.min(amount, remaining) * 100) / 100;
+  return { amount: capped, full: capped === remaining };
+};
+
+module.exports = {
+  DEFAULT_REFUND_POLICY,
+  calculateRefund,
+  validateRefundPolicy,
+};
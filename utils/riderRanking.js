@@ -0,0 +1,65 @@
+// Ranks riders for a parcel by how close they are to the pickup, how busy
+// they are and how reliably they have delivered on time.
+
+const { districtKey } = require("./serviceAreas");
+
+const WEIGHTS = {
+  same_district: 50,
+  same_region: 20,
+  per_active_parcel: -8,
+  on_time_rate: 30,
+};
+
+// riders with no delivery history are treated as average
+const DEFAULT_ON_TIME_RATE = 0.5;
+
+// hours a delivery may take after assignment and still count as on time
+const ON_TIME_HOURS = { same_district: 24, outside_district: 72 };
+
+// score one rider for a parcel; stats are { active, delivered, timed, on_time }
+// where timed counts deliveries with both assignment and delivery times
+const scoreRider = (parcel, rider, stats = {}) => {
+  const active = stats.active || 0;
+  const delivered = stats.delivered || 0;
+  const onTimeRate = stats.timed
+    ? (stats.on_time || 0) / stats.timed
+    : DEFAULT_ON_TIME_RATE;
+
+  // the last leg of an inter-district parcel starts at the receiver's end
+  const side = parcel.route?.current_leg === "delivery" ? "receiver" : "sender";
+  const sameDistrict =
+    !!districtKey(rider.district) &&
+    districtKey(rider.district) === districtKey(parcel[`${side}District`]);
+  const sameRegion = !!rider.region && rider.region === parcel[`${side}Region`];
+
+  const score =
+    (sameDistrict ? WEIGHTS.same_district : 0) +
+    (sameRegion ? WEIGHTS.same_region : 0) +
+    active * WEIGHTS.per_active_parcel +
+    onTimeRate * WEIGHTS.on_time_rate;
+
+  return {
+    score: Math.round(score * 100) / 100,
+    same_district: sameDistrict,
+    same_region: sameRegion,
+    active_parcels: active,
+    delivered_parcels: delivered,
+    on_time_rate: Math.round(onTimeRate * 100) / 100,
+  };
+};
+
+// riders sorted best first, each with its score breakdown
+const rankRiders = (parcel, riders, statsByEmail = {}) =>
+  riders
+    .map((rider) => ({
+      rider,
+      ...scoreRider(parcel, rider, statsByEmail[rider.email]),
+    }))
+    .sort((a, b) => b.score - a.score);
+
+module.exports = {
+  ON_TIME_HOURS,
+  WEIGHTS,
+  rankRiders,
+  scoreRider,
+};
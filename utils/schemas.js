@@ -0,0 +1,189 @@
+// Request body schemas for the write endpoints (see utils/validation.js).
+
+const { API_KEY_SCOPES } = require("./apiKeys");
+const { PARCEL_TYPES } = require("./pricing");
+const { WEBHOOK_EVENTS } = require("./webhooks");
+
+const ROLES = ["user", "rider", "hub_staff", "admin"];
+
+const phone = {
+  type: "string",
+  pattern: /^(\+?88)?01[3-9]\d{8}$/,
+  message: "must be a valid Bangladeshi mobile number",
+};
+const name = { type: "string", minLength: 2, maxLength: 100 };
+const place = { type: "string", minLength: 2, maxLength: 60 };
+const address = { type: "string", minLength: 3, maxLength: 300 };
+
+const parcelSchema = {
+  parcelName: { type: "string", maxLength: 120 },
+  type: { type: "string", required: true, enum: PARCEL_TYPES },
+  // only documents are priced without one
+  weight: {
+    type: "number",
+    min: 0,
+    max: 100,
+    required: (parcel) => parcel.type === "non-document",
+  },
+  senderName: { ...name, required: true },
+  senderPhone: { ...phone, required: true },
+  senderRegion: { ...place, required: true },
+  senderDistrict: { ...place, required: true },
+  senderAddress: { ...address, required: true },
+  pickupInstruction: { type: "string", maxLength: 500 },
+  receiverName: { ...name, required: true },
+  receiverPhone: { ...phone, required: true },
+  receiverRegion: { ...place, required: true },
+  receiverDistrict: { ...place, required: true },
+  receiverAddress: { ...address, required: true },
+  deliveryInstruction: { type: "string", maxLength: 500 },
+  // cash the rider collects from the receiver; makes it a COD parcel
+  cod_amount: { type: "number", min: 0, max: 500000 },
+};
+
+// what a sender may change before the parcel is delivered; the district
+// stays fixed because it decided the price
+const deliveryDetailsSchema = {
+  receiverName: name,
+  receiverPhone: phone,
+  receiverAddress: address,
+  deliveryInstruction: parcelSchema.deliveryInstruction,
+  scheduled_date: { type: "date" },
+};
+
+const quoteSchema = {
+  type: parcelSchema.type,
+  weight: parcelSchema.weight,
+  senderDistrict: parcelSchema.senderDistrict,
+  receiverDistrict: parcelSchema.receiverDistrict,
+};
+
+// rider application; the email always comes from the applicant's token
+const riderSchema = {
+  name: { ...name, required: true },
+  phone: { ...phone, required: true },
+  age: { type: "integer", required: true, min: 18, max: 70 },
+  nid: {
+    type: "string",
+    required: true,
+    pattern: /^(\d{10}|\d{13}|\d{17})$/,
+    message: "must be a 10, 13 or 17 digit NID number",
+  },
+  region: { ...place, required: true },
+  district: { ...place, required: true },
+  bike_brand: { type: "string", maxLength: 60 },
+  bike_registration: { type: "string", required: true, maxLength: 30 },
+};
+
+const riderStatusSchema = {
+  status: {
+    type: "string",
+    required: true,
+    enum: ["approved", "rejected", "deactivated"],
+  },
+  reason: { type: "string", maxLength: 500 },
+};
+
+const userSchema = {
+  email: { type: "email", required: true },
+  name: { type: "string", maxLength: 100 },
+  photoURL: { type: "string", maxLength: 2048 },
+  created_at: { type: "date" },
+  last_login: { type: "date" },
+};
+
+const trackingNoteSchema = {
+  trackingId: { type: "string", required: true, maxLength: 40 },
+  details: { type: "string", required: true, minLength: 2, maxLength: 500 },
+  location: {
+    type: "object",
+    fields: { district: place, region: place },
+  },
+};
+
+// a district we serve; its center doubles as the district's hub
+const serviceCenterSchema = {
+  name: { ...name, required: true },
+  region: { ...place, required: true },
+  district: { ...place, required: true },
+  address: { ...address, required: true },
+  covered_areas: { type: "array", items: place, default: [] },
+  active: { type: "boolean", default: true },
+  // hub staff accounts allowed to scan parcels in and out here
+  staff_emails: { type: "array", items: { type: "email" }, default: [] },
+};
+
+// the same fields, none required and without defaults, for partial updates
+const serviceCenterUpdateSchema = Object.fromEntries(
+  Object.entries(serviceCenterSchema).map(
+    ([field, { required, default: _default, ...rule }]) => [field, rule]
+  )
+);
+
+const notificationPreferencesSchema = {
+  email: { type: "boolean" },
+  sms: { type: "boolean" },
+  push: { type: "boolean" },
+};
+
+// a business shipping through us; API keys and webhooks hang off it
+const merchantSchema = {
+  business_name: { ...name, required: true },
+  phone: { ...phone, required: true },
+  website: { type: "string", maxLength: 2048 },
+};
+
+const apiKeySchema = {
+  name: { type: "string", required: true, minLength: 2, maxLength: 60 },
+  scopes: {
+    type: "array",
+    items: { type: "string", enum: API_KEY_SCOPES },
+    default: API_KEY_SCOPES,
+  },
+};
+
+// the URL itself is checked by validateWebhookUrl
+const webhookSchema = {
+  url: { type: "string", required: true, maxLength: 2048 },
+  events: {
+    type: "array",
+    items: { type: "string", enum: WEBHOOK_EVENTS },
+    default: WEBHOOK_EVENTS,
+  },
+  description: { type: "string", maxLength: 200 },
+};
+
+// a sender's review of a delivered parcel
+const ratingSchema = {
+  rating: { type: "integer", required: true, min: 1, max: 5 },
+  comment: { type: "string", maxLength: 1000 },
+};
+
+const ratingModerationSchema = {
+  hidden: { type: "boolean", required: true },
+  reason: { type: "string", maxLength: 500 },
+};
+
+const roleChangeSchema = {
+  role: { type: "string", required: true, enum: ROLES },
+};
+
+module.exports = {
+  ROLES,
+  apiKeySchema,
+  deliveryDetailsSchema,
+  merchantSchema,
+  notificationPreferencesSchema,
+  parcelSchema,
+  quoteSchema,
+  ratingModerationSchema,
+  ratingSchema,
+  riderSchema,
+  riderStatusSchema,
+  roleChangeSchema,
+  serviceCenterSchema,
+  serviceCenterUpdateSchema,
+  trackingNoteSchema,
+  userSchema,
+  webhookSchema,
+};
@@ -0,0 +1,125 @@
+// Where we deliver and how inter-district parcels travel. Each district we
+// serve has one service center, which is also the hub parcels are sorted at.
+// A parcel between two districts gets a route of three legs:
+//   pickup (sender -> origin hub), linehaul (origin hub -> destination hub)
+//   and delivery (destination hub -> receiver)
+// each with its own rider. Parcels within a district go straight from the
+// sender to the receiver and have no route.
+
+// `field` is the district that isn't served
+class ServiceAreaError extends Error {
+  constructor(message, field = null) {
+    super(message);
+    this.name = "ServiceAreaError";
+    this.field = field;
+  }
+}
+
+const LEGS = ["pickup", "linehaul", "delivery"];
+
+const districtKey = (district) =>
+  String(district || "")
+    .trim()
+    .toLowerCase();
+
+const hubSummary = (center) => ({
+  id: center._id,
+  name: center.name,
+  district: center.district,
+});
+
+// the route for a new parcel given the active service centers; null for
+// parcels within one district. Nothing is served while no service center
+// is active
+const planRoute = (parcel, centers) => {
+  if (!centers.length) {
+    throw new ServiceAreaError(
+      "We are not taking bookings yet, no service center is open"
+    );
+  }
+
+  const byDistrict = new Map(
+    centers.map((center) => [districtKey(center.district), center])
+  );
+  const origin = byDistrict.get(districtKey(parcel.senderDistrict));
+  const destination = byDistrict.get(districtKey(parcel.receiverDistrict));
+
+  if (!origin) {
+    throw new ServiceAreaError(
+      `We do not pick up from ${parcel.senderDistrict} yet`,
+      "senderDistrict"
+    );
+  }
+  if (!destination) {
+    throw new ServiceAreaError(
+      `We do not deliver to ${parcel.receiverDistrict} yet`,
+      "receiverDistrict"
+    );
+  }
+  if (String(origin._id) === String(destination._id)) return null;
+
+  return {
+    origin_hub: hubSummary(origin),
+    destination_hub: hubSummary(destination),
+    current_leg: "pickup",
+    legs: Object.fromEntries(LEGS.map((leg) => [leg, {}])),
+  };
+};
+
+// whether a rider may carry a parcel between the hubs of its route: they
+// work out of the origin or the destination district
+const servesLinehaul = (rider, route) =>
+  [route.origin_hub, route.destination_hub].some(
+    (hub) => districtKey(hub.district) === districtKey(rider.district)
+  );
+
+// extra $set fields keeping a routed parcel's legs up to date as it moves
+// from `from` to `to`; `fields` are the ones the transition already sets
+const routeFields = (parcel, from, to, fields, at) => {
+  if (!parcel.route) return {};
+  const leg = parcel.route.current_leg;
+  const rider = (name) => ({
+    [`route.legs.${name}.rider_email`]: fields.assigned_rider_email ?? null,
+    [`route.legs.${name}.rider_name`]: fields.assigned_rider_name ?? null,
+  });
+
+  switch (to) {
+    case "assigned":
+      return { ...rider(leg), [`route.legs.${leg}.assigned_at`]: at };
+    case "picked":
+    case "on_the_way":
+      return from === "assigned"
+        ? { [`route.legs.${leg}.started_at`]: at }
+        : {};
+    case "at_origin_hub":
+      return {
+        "route.legs.pickup.completed_at": at,
+        "route.current_leg": "linehaul",
+      };
+    case "hub_transit":
+      return { ...rider("linehaul"), "route.legs.linehaul.started_at": at };
+    case "at_destination_hub":
+      // arriving from the origin hub, or the delivery rider was taken off
+      return from === "hub_transit"
+        ? {
+            "route.legs.linehaul.completed_at": at,
+            "route.current_leg": "delivery",
+          }
+        : rider("delivery");
+    case "not_collected":
+      return rider("pickup");
+    case "delivered":
+      return { "route.legs.delivery.completed_at": at };
+    default:
+      return {};
+  }
+};
+
+module.exports = {
+  LEGS,
+  ServiceAreaError,
+  districtKey,
+  planRoute,
+  routeFields,
+  servesLinehaul,
+};
@@ -0,0 +1,57 @@
+// Streams a pub/sub channel to the client as Server-Sent Events.
+//
+// EventSource cannot send an Authorization header, so authenticated streams
+// are opened with ?ticket=: a random, single-use ticket the client gets from
+// POST /stream-tickets just before connecting. Only its hash is stored, and
+// it expires within a minute, so a ticket leaking through a URL log is of no
+// use, unlike the Firebase token it replaces.
+
+const crypto = require("crypto");
+
+const HEARTBEAT_MS = 25 * 1000;
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+
+const hashStreamTicket = (ticket) =>
+  crypto.createHash("sha256").update(String(ticket)).digest("hex");
+
+// { ticket, ticket_hash }
+const generateStreamTicket = () => {
+  const ticket = crypto.randomBytes(24).toString("base64url");
+  return { ticket, ticket_hash: hashStreamTicket(ticket) };
+};
+
+const writeEvent = (res, { id, type, data }) => {
+  res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// keeps the response open until the client disconnects; reconnecting
+// clients send Last-Event-ID and get what they missed replayed
+const streamChannel = (req, res, pubsub, channel) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  const lastEventId = req.headers["last-event-id"] || req.query.lastEventId;
+  const unsubscribe = pubsub.subscribe(
+    channel,
+    (event) => writeEvent(res, event),
+    lastEventId
+  );
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
+
+module.exports = {
+  STREAM_TICKET_TTL_MS,
+  generateStreamTicket,
+  hashStreamTicket,
+  streamChannel,
+};
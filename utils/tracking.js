@@ -0,0 +1,107 @@
+// Tracking events written automatically as a parcel moves through its
+// lifecycle, plus the server-side tracking ID format.
+
+const crypto = require("crypto");
+
+// status code -> default human-readable details
+const TRACKING_EVENTS = {
+  parcel_created: "Parcel booked",
+  payment_received: "Payment received",
+  rider_assigned: "Rider assigned to the parcel",
+  picked_up: "Parcel picked up from the sender",
+  in_transit: "Parcel is on the way",
+  at_origin_hub: "Parcel received at the origin hub",
+  hub_transit: "Parcel left the origin hub for the destination hub",
+  at_destination_hub: "Parcel arrived at the destination hub",
+  delivered: "Parcel delivered to the receiver",
+  failed_attempt: "Delivery attempt failed",
+  return_to_sender: "Parcel is being returned to the sender",
+  returned: "Parcel returned to the sender",
+  rescheduled: "Delivery details updated by the sender",
+  cancelled: "Parcel cancelled",
+  unassigned: "Rider unassigned from the parcel",
+  rider_cashed_out: "Rider earning for this parcel was cashed out",
+  note: "Note",
+};
+
+// tracking code written when a parcel enters a delivery status
+const STATUS_EVENTS = {
+  not_collected: "unassigned",
+  assigned: "rider_assigned",
+  picked: "picked_up",
+  on_the_way: "in_transit",
+  at_origin_hub: "at_origin_hub",
+  hub_transit: "hub_transit",
+  at_destination_hub: "at_destination_hub",
+  delivered: "delivered",
+  failed_attempt: "failed_attempt",
+  returning: "return_to_sender",
+  returned: "returned",
+  cancelled: "cancelled",
+};
+
+// no 0/O or 1/I so IDs can be read out over the phone
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// e.g. ZS-251018-7KQ4MX; a unique index on parcels.trackingId catches the
+// rare collision and the caller draws again
+const generateTrackingId = (date = new Date()) => {
+  const day = date.toISOString().slice(2, 10).replace(/-/g, "");
+  const bytes = crypto.randomBytes(6);
+  const suffix = Array.from(bytes, (b) => ALPHABET[b % ALPHABET.length]).join(
+    ""
+  );
+  return `ZS-${day}-${suffix}`;
+};
+
+// where an event happened, taken from the side of the parcel it concerns
+const parcelLocation = (parcel, side = "sender") => ({
+  district: parcel?.[`${side}District`] || null,
+  region: parcel?.[`${side}Region`] || null,
+});
+
+// statuses that happen at the receiver's end of the trip
+const RECEIVER_SIDE_STATUSES = [
+  "at_destination_hub",
+  "delivered",
+  "failed_attempt",
+];
+
+// tracking code and location for a parcel entering a delivery status; the
+// last leg of an inter-district parcel happens at the receiver's end
+const trackingForStatus = (parcel, deliveryStatus) => ({
+  status: STATUS_EVENTS[deliveryStatus] || deliveryStatus,
+  location: parcelLocation(
+    parcel,
+    RECEIVER_SIDE_STATUSES.includes(deliveryStatus) ||
+      parcel?.route?.current_leg === "delivery"
+      ? "receiver"
+      : "sender"
+  ),
+});
+
+// builds a trackings document for a parcel
+const buildTrackingEvent = (
+  parcel,
+  status,
+  actor,
+  { details, location } = {}
+) => ({
+  trackingId: parcel.trackingId,
+  parcelId: parcel._id,
+  status,
+  details: details || TRACKING_EVENTS[status] || status,
+  location: location || parcelLocation(parcel),
+  updated_by: actor?.email || "system",
+  updated_by_role: actor?.role || "system",
+  time: new Date().toISOString(),
+});
+
+module.exports = {
+  STATUS_EVENTS,
+  TRACKING_EVENTS,
+  buildTrackingEvent,
+  generateTrackingId,
+  parcelLocation,
+  trackingForStatus,
+};
@@ -0,0 +1,120 @@
+// Delivery channels for outbox messages. Every transport has the shape
+//   { name, send(message) }  and throws when the message was not delivered.
+// NOTIFY_TRANSPORT=console or =file routes every channel to a local
+// transport, which is what development uses; nothing else ever falls back
+// to them.
+
+const fs = require("fs/promises");
+
+// the local transports record what was sent without secrets filled in at
+// send time (see prepare in utils/outboxWorker.js)
+const loggedBody = (message) => message.redacted_body ?? message.body;
+
+const consoleTransport = {
+  name: "console",
+  send: async (message) => {
+    console.log(
+      `[notify:${message.channel}] to ${message.to}: ${
+        message.subject
+      } - ${loggedBody(message)}`
+    );
+  },
+};
+
+const fileTransport = (path) => ({
+  name: "file",
+  send: async ({ redacted_body, ...message }) => {
+    await fs.appendFile(
+      path,
+      JSON.stringify({
+        ...message,
+        body: redacted_body ?? message.body,
+        sent_at: new Date().toISOString(),
+      }) + "\n"
+    );
+  },
+});
+
+const smtpTransport = (url, from) => {
+  // loaded lazily so deployments without SMTP never need it
+  const nodemailer = require("nodemailer");
+  const mailer = nodemailer.createTransport(url);
+  return {
+    name: "smtp",
+    send: (message) =>
+      mailer.sendMail({
+        from,
+        to: message.to,
+        subject: message.subject,
+        text: message.body,
+      }),
+  };
+};
+
+// generic HTTP SMS gateway: POST { to, message } with a bearer key
+const smsGatewayTransport = (url, apiKey) => ({
+  name: "sms-gateway",
+  send: async (message) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({ to: message.to, message: message.body }),
+    });
+    if (!response.ok) {
+      throw new Error(`SMS gateway answered ${response.status}`);
+    }
+  },
+});
+
+// push through Firebase Cloud Messaging; `to` is a device token
+const fcmTransport = (admin) => ({
+  name: "fcm",
+  send: (message) =>
+    admin.messaging().send({
+      token: message.to,
+      notification: { title: message.subject, body: message.body },
+    }),
+});
+
+// channel -> transport, from environment settings. A channel without
+// settings gets no transport: its messages are marked "unconfigured" by the
+// worker instead of being reported as sent
+const createTransports = (env, admin) => {
+  if (env.NOTIFY_TRANSPORT === "console") {
+    return {
+      email: consoleTransport,
+      sms: consoleTransport,
+      push: consoleTransport,
+    };
+  }
+  if (env.NOTIFY_TRANSPORT === "file") {
+    const file = fileTransport(env.NOTIFY_FILE || "notifications.log");
+    return { email: file, sms: file, push: file };
+  }
+
+  return {
+    ...(env.SMTP_URL && {
+      email: smtpTransport(
+        env.SMTP_URL,
+        env.SMTP_FROM || "Zap Shift <no-reply@zapshift.com>"
+      ),
+    }),
+    ...(env.SMS_GATEWAY_URL &&
+      env.SMS_API_KEY && {
+        sms: smsGatewayTransport(env.SMS_GATEWAY_URL, env.SMS_API_KEY),
+      }),
+    push: fcmTransport(admin),
+  };
+};
+
+module.exports = {
+  consoleTransport,
+  createTransports,
+  fcmTransport,
+  fileTransport,
+  smsGatewayTransport,
+  smtpTransport,
+};
@@ -0,0 +1,118 @@
+// Small declarative body validator. A schema maps field names to rules:
+//   { type, required, enum, min, max, minLength, maxLength, pattern, fields, items }
+// `required` may also be a function of the object being validated, for fields
+// only some inputs need.
+// Only declared fields survive validation, so unknown and `$`-prefixed keys
+// never reach MongoDB.
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === "boolean",
+  date: (v) => typeof v === "string" && !Number.isNaN(Date.parse(v)),
+  email: (v) => typeof v === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  object: (v) => v !== null && typeof v === "object" && !Array.isArray(v),
+  array: (v) => Array.isArray(v),
+};
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+// checks one value against its rule, pushing { field, message } errors
+const validateValue = (value, rule, field, errors) => {
+  const check = TYPE_CHECKS[rule.type];
+  if (check && !check(value)) {
+    errors.push({ field, message: `must be a valid ${rule.type}` });
+    return undefined;
+  }
+
+  let clean = typeof value === "string" ? value.trim() : value;
+
+  if (rule.enum && !rule.enum.includes(clean)) {
+    errors.push({ field, message: `must be one of: ${rule.enum.join(", ")}` });
+  }
+  if (rule.min !== undefined && clean < rule.min) {
+    errors.push({ field, message: `must be at least ${rule.min}` });
+  }
+  if (rule.max !== undefined && clean > rule.max) {
+    errors.push({ field, message: `must be at most ${rule.max}` });
+  }
+  if (rule.minLength !== undefined && clean.length < rule.minLength) {
+    errors.push({
+      field,
+      message: `must be at least ${rule.minLength} characters`,
+    });
+  }
+  if (rule.maxLength !== undefined && clean.length > rule.maxLength) {
+    errors.push({
+      field,
+      message: `must be at most ${rule.maxLength} characters`,
+    });
+  }
+  if (rule.pattern && !rule.pattern.test(clean)) {
+    errors.push({ field, message: rule.message || "has an invalid format" });
+  }
+
+  if (rule.type === "object" && rule.fields) {
+    clean = validateFields(clean, rule.fields, errors, `${field}.`);
+  }
+  if (rule.type === "array" && rule.items) {
+    clean = clean.map((item, index) =>
+      validateValue(item, rule.items, `${field}[${index}]`, errors)
+    );
+  }
+
+  return clean;
+};
+
+const validateFields = (input, schema, errors, prefix = "") => {
+  const source = TYPE_CHECKS.object(input) ? input : {};
+  const clean = {};
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    const field = `${prefix}${name}`;
+    const value = source[name];
+
+    if (isEmpty(value)) {
+      const required =
+        typeof rule.required === "function"
+          ? rule.required(source)
+          : rule.required;
+      if (required) errors.push({ field, message: "is required" });
+      else if (rule.default !== undefined) clean[name] = rule.default;
+      return;
+    }
+
+    const result = validateValue(value, rule, field, errors);
+    if (result !== undefined) clean[name] = result;
+  });
+
+  return clean;
+};
+
+// returns { value, errors }; value only holds the fields the schema declares
+const validate = (input, schema) => {
+  const errors = [];
+  const value = validateFields(input, schema, errors);
+  return { value, errors };
+};
+
+// the 400 every invalid input gets, whether the schema or a later check
+// (pricing, service areas) found the problem
+const sendValidationErrors = (res, errors) =>
+  res
+    .status(400)
+    .send({ success: false, message: "Validation failed", errors });
+
+// express middleware replacing req.body with the validated value
+const validateBody = (schema) => (req, res, next) => {
+  const { value, errors } = validate(req.body, schema);
+  if (errors.length) return sendValidationErrors(res, errors);
+  req.body = value;
+  next();
+};
+
+module.exports = { sendValidationErrors, validate, validateBody };
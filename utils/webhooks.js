@@ -0,0 +1,177 @@
+// Outbound merchant webhooks. Deliveries are queued in their own collection
+// and sent by an outbox worker (utils/outboxWorker.js) through the webhook
+// transport below, so they get the same retries with backoff as
+// notifications. Every POST carries
+//   Zap-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// signed with the webhook's secret. Webhooks may only reach public
+// addresses: the host is resolved when the webhook is registered and again
+// before every delivery.
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+
+const WEBHOOK_EVENTS = ["parcel.status_changed"];
+// signatures older than this are rejected by verifySignature
+const SIGNATURE_TOLERANCE_S = 5 * 60;
+const TIMEOUT_MS = 10 * 1000;
+
+// loopback, private networks, link-local (cloud metadata services live at
+// 169.254.169.254) and unspecified addresses
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([network, prefix]) =>
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6")
+);
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6, e.g. ::ffff:127.0.0.1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return PRIVATE_ADDRESSES.check(ip, family === 4 ? "ipv4" : "ipv6");
+};
+
+// null when every address `url`'s host resolves to is public, otherwise
+// what is wrong with it. `lookup` is dns.promises.lookup's signature;
+// tests pass allowPrivate to reach a receiver on localhost
+const checkHost = async (
+  url,
+  { lookup = dns.promises.lookup, allowPrivate = false } = {}
+) => {
+  let addresses;
+  try {
+    addresses = await lookup(url.hostname.replace(/^\[|\]$/g, ""), {
+      all: true,
+      verbatim: true,
+    });
+  } catch (error) {
+    return "url host could not be resolved";
+  }
+  if (
+    !allowPrivate &&
+    addresses.some(({ address }) => isPrivateAddress(address))
+  ) {
+    return "url must not point to a private or local address";
+  }
+  return null;
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+const sign = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+const signatureHeader = (secret, body, now = Date.now()) => {
+  const timestamp = Math.floor(now / 1000);
+  return `t=${timestamp},v1=${sign(secret, timestamp, body)}`;
+};
+
+// for receivers: true when `header` is a fresh signature of the raw `body`
+const verifySignature = (secret, header, body, now = Date.now()) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_S) return false;
+
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(parts.v1);
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+// resolves to a list of problems with a webhook URL (empty when valid):
+// http(s) URLs of public hosts only, plain http is accepted outside
+// production. `options` are checkHost's
+const validateWebhookUrl = async (
+  value,
+  { env = process.env, ...options } = {}
+) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return ["url must be a valid URL"];
+  }
+  if (
+    url.protocol !== "https:" &&
+    !(url.protocol === "http:" && env.NODE_ENV !== "production")
+  ) {
+    return ["url must use https"];
+  }
+  const problem = await checkHost(url, options);
+  return problem ? [problem] : [];
+};
+
+// outbox transport POSTing a queued delivery to its webhook; throws on
+// anything but a 2xx answer so the worker retries it. The host is checked
+// again as its DNS may have changed since the webhook was registered;
+// `lookup` and `allowPrivate` are checkHost's
+const webhookTransport = ({
+  webhooksCollection,
+  timeoutMs = TIMEOUT_MS,
+  lookup,
+  allowPrivate,
+}) => ({
+  name: "webhook",
+  send: async (delivery) => {
+    const webhook = await webhooksCollection.findOne({
+      _id: delivery.webhook_id,
+    });
+    if (!webhook || !webhook.active) throw new Error("Webhook is disabled");
+
+    const problem = await checkHost(new URL(webhook.url), {
+      lookup,
+      allowPrivate,
+    });
+    if (problem) throw new Error(problem);
+
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "ZapShift-Webhooks/1.0",
+        "Zap-Event": delivery.event,
+        "Zap-Delivery": String(delivery._id),
+        "Zap-Signature": signatureHeader(webhook.secret, delivery.body),
+      },
+      body: delivery.body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  },
+});
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  isPrivateAddress,
+  signatureHeader,
+  validateWebhookUrl,
+  verifySignature,
+  webhookTransport,
+};